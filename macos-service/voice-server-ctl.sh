@@ -8,6 +8,8 @@ PLIST_FILE="com.paivoice.server.plist"
 LAUNCH_AGENTS_DIR="$HOME/Library/LaunchAgents"
 VOICE_SERVER_DIR="$HOME/.claude/voice-server"
 SERVER_URL="http://localhost:8888"
+# Written by "pai-voice-server install" unless installed with --no-auth
+AUTH_TOKEN_FILE="$HOME/.claude/pai-voice-server/auth-token"
 
 # Colors for output
 RED='\033[0;31m'
@@ -135,7 +137,14 @@ function test_server() {
     
     echo "Sending test notification..."
     
-    RESPONSE=$(curl -s -X POST "${SERVER_URL}/notify" \
+    # The auth header goes to curl on stdin so the token stays out of ps
+    AUTH_HEADER=""
+    if [ -r "$AUTH_TOKEN_FILE" ]; then
+        AUTH_HEADER="Authorization: Bearer $(cat "$AUTH_TOKEN_FILE")"
+    fi
+    
+    RESPONSE=$(printf '%s\n' "$AUTH_HEADER" | curl -s -X POST "${SERVER_URL}/notify" \
+        -H @- \
         -H "Content-Type: application/json" \
         -d '{
             "title": "Voice Server Test",
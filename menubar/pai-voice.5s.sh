@@ -3,6 +3,21 @@
 # PAI Voice Server Menu Bar Indicator
 # For BitBar/SwiftBar - updates every 5 seconds
 
+# "Test Voice" runs this script with "test": send a test notification with
+# the install's auth token (on stdin, to keep it out of ps)
+if [ "$1" = "test" ]; then
+    AUTH_TOKEN_FILE="$HOME/.claude/pai-voice-server/auth-token"
+    AUTH_HEADER=""
+    if [ -r "$AUTH_TOKEN_FILE" ]; then
+        AUTH_HEADER="Authorization: Bearer $(cat "$AUTH_TOKEN_FILE")"
+    fi
+    printf '%s\n' "$AUTH_HEADER" | curl -s -X POST http://localhost:8888/notify \
+        -H @- \
+        -H "Content-Type: application/json" \
+        -d '{"message":"Testing voice server"}'
+    exit
+fi
+
 # Check if server is running
 if curl -s -f http://localhost:8888/health > /dev/null 2>&1; then
     # Server is running - show green indicator with size
@@ -39,7 +54,7 @@ echo "---"
 echo "Check Status | bash='pai-voice-server status' terminal=true"
 echo "View Logs | bash='tail -f ~/Library/Logs/pai-voice-server.log' terminal=true"
 echo "---"
-echo "Test Voice | bash='curl -X POST http://localhost:8888/notify -H \"Content-Type: application/json\" -d \"{\\\"message\\\":\\\"Testing voice server\\\"}\"' terminal=false"
+echo "Test Voice | bash='$0' param1=test terminal=false"
 echo "---"
 echo "Open Voice Server Folder | bash='open ~/.claude/pai-voice-server'"
 echo "Uninstall | bash='pai-voice-server uninstall' terminal=true"
\ No newline at end of file
@@ -3,330 +3,3771 @@
  * PAIVoice - Personal AI Voice notification server using ElevenLabs TTS
  */
 
-import { serve } from "bun";
+import { serve, type Server } from "bun";
+import { Database } from "bun:sqlite";
 import { spawn } from "child_process";
 import { homedir } from "os";
 import { join } from "path";
-import { existsSync } from "fs";
+import { existsSync, mkdirSync, readdirSync, readFileSync, statSync, unlinkSync, writeFileSync } from "fs";
+import { createHash, createHmac, randomUUID, timingSafeEqual } from "crypto";
 
 // Load .env from user home directory
 const envPath = join(homedir(), '.env');
 if (existsSync(envPath)) {
   const envContent = await Bun.file(envPath).text();
   envContent.split('\n').forEach(line => {
-    const [key, value] = line.split('=');
-    if (key && value && !key.startsWith('#')) {
-      process.env[key.trim()] = value.trim();
+    // Values may contain "=" themselves (e.g. RATE_LIMIT_ROUTES=/notify=10/60)
+    // and may be quoted (e.g. STREAM_PLAYER="mpv --no-video -")
+    const separator = line.indexOf('=');
+    const key = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim().replace(/^(["'])(.*)\1$/, '$2');
+    if (separator > 0 && key && value && !key.startsWith('#')) {
+      process.env[key] = value;
     }
   });
 }
 
+// Logging. LOG_LEVEL (debug, info, warn, error) sets the minimum level;
+// LOG_FORMAT=json writes one JSON object per line instead of text.
+// Fields such as request_id are appended as key=value pairs in text mode
+// (values with spaces are JSON-quoted).
+type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+type LogFields = Record<string, unknown>;
+
+const LOG_LEVELS: Record<LogLevel, number> = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL_SETTING = (process.env.LOG_LEVEL || 'info').trim().toLowerCase();
+const LOG_LEVEL: LogLevel = LOG_LEVEL_SETTING in LOG_LEVELS ? LOG_LEVEL_SETTING as LogLevel : 'info';
+const LOG_JSON = process.env.LOG_FORMAT === 'json';
+
+function writeLog(level: LogLevel, message: string, fields: LogFields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+
+  const defined = Object.entries(fields).filter(([, value]) => value !== undefined);
+  const write = level === 'warn' || level === 'error' ? console.error : console.log;
+
+  if (LOG_JSON) {
+    // Emoji prefixes are for humans reading the text log
+    const msg = message.replace(/^[\p{Extended_Pictographic}\uFE0F\s]+/u, '');
+    write(JSON.stringify({ time: new Date().toISOString(), level, msg, ...Object.fromEntries(defined) }));
+    return;
+  }
+
+  const context = defined
+    .map(([key, value]) => `${key}=${typeof value === 'string' && !/[\s"=]/.test(value) ? value : JSON.stringify(value)}`)
+    .join(' ');
+  write(`${new Date().toISOString()} ${level.toUpperCase().padEnd(5)} ${message}${context ? ` ${context}` : ''}`);
+}
+
+const logger = {
+  debug: (message: string, fields?: LogFields) => writeLog('debug', message, fields),
+  info: (message: string, fields?: LogFields) => writeLog('info', message, fields),
+  warn: (message: string, fields?: LogFields) => writeLog('warn', message, fields),
+  error: (message: string, fields?: LogFields) => writeLog('error', message, fields),
+};
+
+// Metrics in the Prometheus text format, served at GET /metrics
+type MetricLabels = Record<string, string>;
+
+interface Metric {
+  render(): string[];
+}
+
+function formatLabels(labels: MetricLabels): string {
+  const pairs = Object.entries(labels)
+    .map(([key, value]) => `${key}="${value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function createCounter(name: string, help: string) {
+  const values = new Map<string, number>();
+  return {
+    inc(labels: MetricLabels = {}, amount = 1) {
+      const key = formatLabels(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...[...values].map(([labels, value]) => `${name}${labels} ${value}`),
+      ];
+    },
+  };
+}
+
+function createHistogram(name: string, help: string, buckets: number[]) {
+  const series = new Map<string, { labels: MetricLabels; counts: number[]; sum: number; count: number }>();
+  return {
+    observe(labels: MetricLabels, value: number) {
+      const key = formatLabels(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry!.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+// Reports a value kept elsewhere, read when /metrics is scraped
+function createReading(type: 'counter' | 'gauge', name: string, help: string, read: () => number): Metric {
+  return {
+    render() {
+      return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, `${name} ${read()}`];
+    },
+  };
+}
+
+const httpRequests = createCounter('pai_http_requests_total', 'HTTP requests by route and status code');
+const synthesisDuration = createHistogram(
+  'pai_synthesis_duration_seconds',
+  'Time for a TTS provider to return audio (stream start for streamed speech)',
+  [0.1, 0.25, 0.5, 1, 2, 5, 10, 30]
+);
+const playbackDuration = createHistogram(
+  'pai_playback_duration_seconds',
+  'Time spent playing a clip',
+  [0.5, 1, 2, 5, 10, 30, 60]
+);
+const elevenLabsCharacters = createCounter('pai_elevenlabs_characters_total', 'Characters sent to ElevenLabs for synthesis');
+const rateLimitRejections = createCounter('pai_rate_limit_rejections_total', 'Requests rejected by the rate limiter');
+
 const PORT = parseInt(process.env.PORT || "8888");
 const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
 
-if (!ELEVENLABS_API_KEY) {
-  console.error('⚠️  ELEVENLABS_API_KEY not found in ~/.env');
-  console.error('Add: ELEVENLABS_API_KEY=your_key_here');
+if (!ELEVENLABS_API_KEY) {
+  logger.warn('⚠️  ELEVENLABS_API_KEY not found in ~/.env (add: ELEVENLABS_API_KEY=your_key_here)');
+}
+
+// Default voice ID (Pai's voice)
+const DEFAULT_VOICE_ID = process.env.ELEVENLABS_VOICE_ID || "s3TPKV1kjDlVtZbl4Ksh";
+
+// Agent personas from voices.json (next to server.ts in the install dir, or VOICES_FILE)
+const VOICES_PATH = process.env.VOICES_FILE || join(import.meta.dir, 'voices.json');
+
+interface Persona extends Partial<SpeechSettings> {
+  voice_id?: string;
+  voice_name?: string;
+  rate_multiplier?: number;
+  rate_wpm?: number;
+  description?: string;
+  type?: string;
+}
+
+// Synthesis settings, named as in the ElevenLabs API. Each can be set per
+// persona in voices.json and overridden per request.
+interface SpeechSettings {
+  model_id: string;
+  stability: number;
+  similarity_boost: number;
+  style?: number;
+  speed?: number;           // Also scales the local engine's rate
+  output_format: string;
+}
+
+const DEFAULT_SPEECH_SETTINGS: SpeechSettings = {
+  model_id: 'eleven_turbo_v2_5',
+  stability: 0.5,
+  similarity_boost: 0.5,
+  output_format: 'mp3_44100_128',
+};
+
+// pcm_* is raw 16-bit mono audio, wrapped in a WAV header for playback
+const OUTPUT_FORMATS = [
+  'mp3_22050_32', 'mp3_44100_32', 'mp3_44100_64', 'mp3_44100_96', 'mp3_44100_128', 'mp3_44100_192',
+  'pcm_16000', 'pcm_22050', 'pcm_24000', 'pcm_44100',
+];
+
+const SETTING_RANGES: Record<string, [number, number]> = {
+  stability: [0, 1],
+  similarity_boost: [0, 1],
+  style: [0, 1],
+  speed: [0.7, 1.2],
+};
+
+// Validate the speech settings present in a request body or persona.
+// `origin` names where they came from in error messages.
+function parseSpeechSettings(source: Record<string, any>, origin = ''): Partial<SpeechSettings> {
+  const settings: Partial<SpeechSettings> = {};
+
+  if (source.model_id != null) {
+    if (typeof source.model_id !== 'string' || !/^[a-z0-9_]{1,64}$/.test(source.model_id)) {
+      throw new Error(`Invalid model_id${origin} (expected an ElevenLabs model ID such as eleven_multilingual_v2)`);
+    }
+    settings.model_id = source.model_id;
+  }
+
+  for (const [key, [min, max]] of Object.entries(SETTING_RANGES)) {
+    const value = source[key];
+    if (value == null) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`Invalid ${key}${origin} (expected a number from ${min} to ${max})`);
+    }
+    (settings as Record<string, number>)[key] = value;
+  }
+
+  if (source.output_format != null) {
+    if (!OUTPUT_FORMATS.includes(source.output_format)) {
+      throw new Error(`Invalid output_format${origin} (expected one of ${OUTPUT_FORMATS.join(', ')})`);
+    }
+    settings.output_format = source.output_format;
+  }
+
+  return settings;
+}
+
+interface VoicesConfig {
+  default_rate?: number;
+  voices: Record<string, Persona>;
+}
+
+// The voice a notification is spoken with
+interface VoiceSelection {
+  voiceId: string;         // ElevenLabs voice ID
+  persona?: string;        // voices.json persona name
+  localVoice?: string;     // System voice name for the local engine
+  rateWpm?: number;        // Speaking rate for the local engine
+  description?: string;
+  settings: SpeechSettings;
+}
+
+let voicesConfig: VoicesConfig = { voices: {} };
+let voicesConfigMtime = 0;
+// Each persona's speech settings, validated when voices.json is loaded: a bad
+// entry is a server configuration error, logged once, not a bad request
+let personaSettings: Record<string, Partial<SpeechSettings>> = {};
+
+// Metric label for a voice: the persona, "default", or "custom" for any other
+// client-supplied voice_id, so clients cannot create unbounded series
+function voiceLabel(voice: VoiceSelection): string {
+  return voice.persona || (voice.voiceId === DEFAULT_VOICE_ID ? 'default' : 'custom');
+}
+
+// Load voices.json, re-reading it whenever the file changes on disk
+function loadVoicesConfig(): VoicesConfig {
+  try {
+    const mtime = statSync(VOICES_PATH).mtimeMs;
+    if (mtime !== voicesConfigMtime) {
+      const parsed = JSON.parse(readFileSync(VOICES_PATH, 'utf8'));
+      voicesConfig = { ...parsed, voices: parsed.voices || {} };
+      voicesConfigMtime = mtime;
+      personaSettings = {};
+      for (const [key, persona] of Object.entries(voicesConfig.voices)) {
+        try {
+          personaSettings[key] = parseSpeechSettings(persona, ` in ${VOICES_PATH} persona "${key}"`);
+        } catch (error: any) {
+          // The persona still speaks, with the default settings
+          logger.error('⚠️  Ignoring invalid persona speech settings', { persona: key, error: error.message });
+          personaSettings[key] = {};
+        }
+      }
+    }
+  } catch (error: any) {
+    if (voicesConfigMtime !== -1) {
+      logger.error(`⚠️  Could not load ${VOICES_PATH}`, { error: error.message });
+      voicesConfigMtime = -1;
+    }
+  }
+  return voicesConfig;
+}
+
+// Load at startup so configuration errors are reported straight away
+loadVoicesConfig();
+
+// Resolve a voice_name persona (or a raw voice_id) to a voice selection.
+// Speech settings come from the defaults, the persona, then `overrides`.
+function resolveVoice(
+  voiceName: string | null,
+  voiceId: string | null = null,
+  overrides: Record<string, any> = {}
+): VoiceSelection {
+  const config = loadVoicesConfig();
+
+  if (!voiceName) {
+    return {
+      voiceId: voiceId || DEFAULT_VOICE_ID,
+      rateWpm: config.default_rate,
+      settings: { ...DEFAULT_SPEECH_SETTINGS, ...parseSpeechSettings(overrides) },
+    };
+  }
+
+  const key = voiceName.trim().toLowerCase();
+  const persona = config.voices[key];
+  if (!persona) {
+    const valid = Object.keys(config.voices);
+    throw new Error(
+      `Invalid voice_name "${voiceName}". Valid personas: ${valid.length > 0 ? valid.join(', ') : '(none configured)'}`
+    );
+  }
+
+  return {
+    voiceId: voiceId || persona.voice_id || DEFAULT_VOICE_ID,
+    persona: key,
+    localVoice: persona.voice_name,
+    rateWpm: persona.rate_wpm || config.default_rate,
+    description: persona.description,
+    settings: {
+      ...DEFAULT_SPEECH_SETTINGS,
+      ...personaSettings[key],
+      ...parseSpeechSettings(overrides),
+    },
+  };
+}
+
+// The voice a /notify or /speak request asks for: voice_name selects a
+// voices.json persona, voice_id overrides its ElevenLabs voice, and
+// model_id, stability etc. override its speech settings
+function resolveRequestVoice(data: Record<string, any>): VoiceSelection {
+  const voiceId = data.voice_id || null;
+  const voiceName = data.voice_name || null;
+
+  // ElevenLabs voice IDs are alphanumeric; the ID goes into the request path
+  if (voiceId && (typeof voiceId !== 'string' || !/^[A-Za-z0-9]{1,64}$/.test(voiceId))) {
+    throw new Error('Invalid voice_id (expected 1-64 letters and digits)');
+  }
+
+  if (voiceName && typeof voiceName !== 'string') {
+    throw new Error('Invalid voice_name');
+  }
+
+  return resolveVoice(voiceName, voiceId, data);
+}
+
+// A validated /notify body, or one item of a /notify/batch body
+interface NotifyRequest {
+  title: string;
+  message: string;
+  voiceEnabled: boolean;
+  voice: VoiceSelection;
+  priority: Priority;
+  url?: string;
+}
+
+// Reject JSON bodies that parse but carry no fields (null, arrays, scalars)
+function requireJsonObject(data: any, name: string) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Invalid ${name} (expected a JSON object)`);
+  }
+}
+
+// Validate a /notify body, throwing on the first invalid field
+function parseNotifyRequest(data: any): NotifyRequest {
+  requireJsonObject(data, 'notification');
+
+  const title = data.title || "PAI Notification";
+  const message = data.message || "Task completed";
+
+  const titleValidation = validateInput(title);
+  if (!titleValidation.valid) {
+    throw new Error(`Invalid title: ${titleValidation.error}`);
+  }
+
+  const messageValidation = validateInput(message, MAX_MESSAGE_LENGTH);
+  if (!messageValidation.valid) {
+    throw new Error(`Invalid message: ${messageValidation.error}`);
+  }
+
+  const priority = data.priority ?? 'normal';
+  if (!isPriority(priority)) {
+    throw new Error('Invalid priority (expected low, normal or urgent)');
+  }
+
+  const url = data.url ?? undefined;
+  if (url !== undefined && !isHttpUrl(url)) {
+    throw new Error('Invalid url (expected http or https)');
+  }
+
+  return { title, message, voiceEnabled: data.voice_enabled !== false, voice: resolveRequestVoice(data), priority, url };
+}
+
+// Letters, digits and combining marks in any script (\w is ASCII-only)
+const WORD_CHARS = '\\p{L}\\p{N}\\p{M}_';
+
+// Bidirectional formatting characters. Speech engines don't need them, and
+// the embedding/override ones can make displayed text read in a different
+// order than it was written.
+const BIDI_CONTROLS = /[\u200E\u200F\u202A-\u202E\u2066-\u2069]/g;
+const BIDI_OVERRIDES = /[\u202A-\u202E]/g;
+
+// Unicode hygiene for all incoming text: lone surrogates (malformed UTF-16)
+// become U+FFFD, and decomposed accents ("e" + U+0301, as macOS file names
+// produce) are composed, so length limits and speech see one character each.
+function normalizeUnicode(input: string): string {
+  return input.toWellFormed().normalize('NFC');
+}
+
+// Length in characters (code points) rather than UTF-16 units
+function charLength(input: string): number {
+  return Array.from(input).length;
+}
+
+// Truncate by code point so surrogate pairs are never split
+function truncateText(input: string, max: number): string {
+  const chars = Array.from(input);
+  return chars.length > max ? chars.slice(0, max).join('') : input;
+}
+
+// Speech text normalization. Agent messages are full of Markdown, code,
+// paths and URLs that sound wrong read out character by character; this
+// rewrites them into plain sentences. The desktop notification shows the
+// original text instead (see cleanDisplayText and the notifier backends).
+const CODE_LANGUAGES: Record<string, string> = {
+  ts: 'TypeScript', tsx: 'TypeScript', typescript: 'TypeScript',
+  js: 'JavaScript', jsx: 'JavaScript', javascript: 'JavaScript',
+  py: 'Python', python: 'Python', rb: 'Ruby', ruby: 'Ruby', go: 'Go', rs: 'Rust', rust: 'Rust',
+  sh: 'shell', bash: 'shell', zsh: 'shell', shell: 'shell', console: 'shell',
+  json: 'JSON', yaml: 'YAML', yml: 'YAML', toml: 'TOML', sql: 'SQL', html: 'HTML', css: 'CSS',
+  swift: 'Swift', java: 'Java', kotlin: 'Kotlin', c: 'C', cpp: 'C++', diff: 'diff',
+};
+
+// Extensions that mark a dotted word as a file name rather than a sentence end
+const FILE_EXTENSIONS = 'tsx?|jsx?|mjs|cjs|json|md|py|rb|go|rs|java|kt|swift|c|h|cpp|hpp|cs|php|sh|zsh|ya?ml|toml|lock|txt|html|css|scss|sql|xml|csv|log|vue|svelte|ini|conf|plist|env|db|mp3|wav|png|jpe?g|svg|pdf|zip';
+
+// Unit suffix -> [singular, plural]
+const SPOKEN_UNITS: Record<string, [string, string]> = {
+  ns: ['nanosecond', 'nanoseconds'],
+  'µs': ['microsecond', 'microseconds'],
+  us: ['microsecond', 'microseconds'],
+  ms: ['millisecond', 'milliseconds'],
+  s: ['second', 'seconds'],
+  sec: ['second', 'seconds'],
+  min: ['minute', 'minutes'],
+  h: ['hour', 'hours'],
+  hr: ['hour', 'hours'],
+  KB: ['kilobyte', 'kilobytes'],
+  MB: ['megabyte', 'megabytes'],
+  GB: ['gigabyte', 'gigabytes'],
+  TB: ['terabyte', 'terabytes'],
+  KiB: ['kibibyte', 'kibibytes'],
+  MiB: ['mebibyte', 'mebibytes'],
+  GiB: ['gibibyte', 'gibibytes'],
+  Hz: ['hertz', 'hertz'],
+  kHz: ['kilohertz', 'kilohertz'],
+  MHz: ['megahertz', 'megahertz'],
+  GHz: ['gigahertz', 'gigahertz'],
+  px: ['pixel', 'pixels'],
+  '%': ['percent', 'percent'],
+  '°C': ['degree Celsius', 'degrees Celsius'],
+  '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+  x: ['times', 'times'],
+};
+
+const UNIT_PATTERN = new RegExp(
+  `(?<![\\p{L}\\p{N}.])(\\d+(?:[.,]\\d+)*)\\s?(${Object.keys(SPOKEN_UNITS).sort((a, b) => b.length - a.length).join('|')})(?![\\p{L}\\p{N}])`,
+  'gu'
+);
+
+// "server.ts" -> "server dot ts", "src/server.ts:42" -> "server dot ts line 42"
+function speakFileName(name: string, line?: string, column?: string): string {
+  const spoken = name.replace(/\./g, ' dot ').replace(/^ dot /, 'dot ');
+  return `${spoken}${line ? ` line ${line}` : ''}${column ? ` column ${column}` : ''}`;
+}
+
+// Leading and trailing punctuation around a path, e.g. "(see src/server.ts)."
+const PATH_OPENERS = '(["\'';
+const PATH_CLOSERS = '.,;:!?)]"\'';
+const FILE_NAME_PATTERN = new RegExp(`\\.(${FILE_EXTENSIONS})$`, 'i');
+
+// Read one whitespace-delimited token as a path if it looks like one. Tokens are
+// trimmed and split with plain string operations and anchored single-class
+// patterns, so long tokens such as commit hashes cost linear time.
+function speakPathToken(token: string): string {
+  let start = 0;
+  let end = token.length;
+  while (start < end && PATH_OPENERS.includes(token[start])) start++;
+  while (end > start && PATH_CLOSERS.includes(token[end - 1])) end--;
+
+  let path = token.slice(start, end);
+  const position = /:(\d+)(?::(\d+))?$/.exec(path);
+  if (position) path = path.slice(0, position.index);
+  if (!/^(?:~|\.{1,2})?[\p{L}\p{N}\p{M}_.@\/-]+$/u.test(path)) return token;
+
+  const name = path.slice(path.lastIndexOf('/') + 1);
+  const isFile = FILE_NAME_PATTERN.test(name);
+  const isPath = /^[~./]/.test(path) || path.split('/').length > 2 || isFile;
+  if (!name || !isPath) return token;
+
+  const spoken = isFile ? speakFileName(name, position?.[1], position?.[2]) : name;
+  return `${token.slice(0, start)}${spoken}${token.slice(end)}`;
+}
+
+function summarizeCodeBlock(language: string, code: string): string {
+  const lines = code.split('\n').filter(line => line.trim()).length;
+  const name = CODE_LANGUAGES[language.toLowerCase()] || (/^[a-z]+$/i.test(language) ? language : '');
+  const size = lines > 0 ? `${lines}-line ` : '';
+  return ` (a ${size}${name ? `${name} ` : ''}code block). `;
+}
+
+function stripMarkdownLine(line: string): string {
+  // Horizontal rules and table separators carry no words
+  if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line) || /^\s*\|?(\s*:?-{3,}:?\s*\|)+\s*:?-*:?\s*$/.test(line)) {
+    return '';
+  }
+
+  const text = line
+    .replace(/^\s{0,3}#{1,6}\s+/, '')                 // headings
+    .replace(/^\s*(>\s?)+/, '')                       // blockquotes
+    .replace(/^\s*(?:[-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/, '') // list items and task boxes
+    .replace(/^\s*\|/, '').replace(/\|\s*$/, '')      // table row edges
+    .replace(/\s*\|\s*/g, ', ')                       // table cells
+    .trim();
+
+  // Give each line its own sentence so list items don't run together
+  return text && !/\p{Terminal_Punctuation}$/u.test(text) ? `${text}.` : text;
+}
+
+function normalizeForSpeech(input: string): string {
+  let text = normalizeUnicode(input).replace(/\r\n?/g, '\n');
+
+  // Code: fenced blocks are summarized, short spans are read, long ones summarized
+  text = text.replace(/```([\w+#.-]*)[^\n]*\n?([\s\S]*?)(?:```|$)/g, (_, language, code) => summarizeCodeBlock(language, code));
+  text = text.replace(/`([^`\n]+)`/g, (_, code: string) =>
+    code.length <= 40 && code.trim().split(/\s+/).length <= 3 ? code : 'a code snippet'
+  );
+
+  // Markdown structure and inline formatting
+  text = text.split('\n').map(stripMarkdownLine).filter(line => line).join(' ');
+  text = text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')         // images: alt text
+    .replace(/\[([^\]]+)\]\([^)\s]*\)/g, '$1')         // links: link text
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '$1')
+    .replace(/(?<![\p{L}\p{N}\p{M}_*])\*(?=\S)([^*]+?)(?<=\S)\*(?![\p{L}\p{N}\p{M}_*])/gu, '$1')
+    .replace(/(?<![\p{L}\p{N}\p{M}_])_(?=\S)([^_]+?)(?<=\S)_(?![\p{L}\p{N}\p{M}_])/gu, '$1')
+    .replace(/<\/?[a-z][^>]*>/gi, ' ');                // HTML tags
+
+  // URLs are read as their host
+  text = text.replace(/\bhttps?:\/\/([^\s/?#]+)[^\s]*?(?=[.,;:!?)\]]*(?:\s|$))/g, (_, host: string) =>
+    `a link to ${host.replace(/^www\./, '').replace(/:\d+$/, '')}`
+  );
+
+  // Paths are read as the file (or last directory) name, with line/column
+  text = text.replace(/\S+/g, token => token.includes('/') ? speakPathToken(token) : token);
+  text = text.replace(
+    new RegExp(`(?<![${WORD_CHARS}/.])((?:[${WORD_CHARS}@-]+)?(?:\\.[${WORD_CHARS}-]+)*\\.(?:${FILE_EXTENSIONS}))(?::(\\d+)(?::(\\d+))?)?(?![${WORD_CHARS}])`, 'giu'),
+    (_, name: string, line?: string, column?: string) => speakFileName(name, line, column)
+  );
+
+  // Versions: "v1.2.3-beta.1" -> "version 1 point 2 point 3 beta 1"
+  text = text.replace(
+    /(?<![\p{L}\p{N}\p{M}_.])(v)?(\d+(?:\.\d+){2})(?:-([0-9A-Za-z]+(?:\.[0-9A-Za-z]+)*))?(?![\p{L}\p{N}\p{M}_]|\.\d)/gu,
+    (_, prefix, version: string, prerelease?: string) =>
+      `${prefix ? 'version ' : ''}${version.split('.').join(' point ')}${prerelease ? ` ${prerelease.replace(/[.-]/g, ' ')}` : ''}`
+  );
+  text = text.replace(/(?<![\p{L}\p{N}\p{M}_.])v(\d+)(?:\.(\d+))?(?![\p{L}\p{N}\p{M}_]|\.\d)/gu, (_, major, minor) =>
+    `version ${major}${minor !== undefined ? ` point ${minor}` : ''}`
+  );
+
+  // Units: "250ms" -> "250 milliseconds"; "1990s" stays a decade
+  text = text.replace(UNIT_PATTERN, (match, amount: string, unit: string) => {
+    if (unit === 's' && /^(1[0-9]|20)\d0$/.test(amount)) return match;
+    const [singular, plural] = SPOKEN_UNITS[unit];
+    return `${amount} ${amount === '1' ? singular : plural}`;
+  });
+
+  // Symbols that read badly, then emoji and leftover markup characters
+  text = text
+    .replace(/\s*(?:->|=>|→)\s*/g, ' to ')
+    .replace(/\s&\s/g, ' and ')
+    .replace(/(?<![\p{L}\p{N}_&])#(\d+)(?!\d)/gu, 'number $1')
+    .replace(/[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\u200D\uFE0F\u20E3\uFFFD]/gu, '')
+    .replace(/[`*_~|<>{}\[\]\\^#]/g, ' ')
+    .replace(/[\u0000-\u001F\u007F]/g, ' ')
+    .replace(BIDI_CONTROLS, '');
+
+  text = text
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([.,!?;:])/g, '$1')
+    .replace(/[,;:]+(?=[.!?])/g, '')
+    .replace(/([.!?])(?:\s*[.])+/g, '$1')
+    .trim();
+
+  // Punctuation alone isn't worth speaking
+  return /[\p{L}\p{N}]/u.test(text) ? text : '';
+}
+
+// Text shown in the desktop notification: the original wording minus control
+// characters and bidi overrides (isolates and marks are kept, so mixed
+// right-to-left text still renders). Each backend escapes it for its own syntax.
+function cleanDisplayText(input: string): string {
+  return normalizeUnicode(input)
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u0000-\u0009\u000B-\u001F\u007F]/g, ' ')
+    .replace(BIDI_OVERRIDES, '')
+    .trim();
+}
+
+// Pronunciation lexicon (lexicon.json next to voices.json): terms the TTS
+// engine gets wrong mapped to spellings it reads correctly. "entries" apply
+// to every voice; "voices" holds per-persona overrides, where null removes a
+// global entry. Re-read whenever the file changes, like voices.json.
+const LEXICON_PATH = process.env.LEXICON_FILE || join(import.meta.dir, 'lexicon.json');
+
+interface LexiconConfig {
+  entries?: Record<string, string>;
+  voices?: Record<string, Record<string, string | null>>;
+}
+
+let lexiconConfig: LexiconConfig = {};
+let lexiconMtime = 0;
+const lexiconRules = new Map<string, { pattern: RegExp; replacements: Map<string, string> } | null>();
+
+function loadLexicon(): LexiconConfig {
+  try {
+    const mtime = statSync(LEXICON_PATH).mtimeMs;
+    if (mtime !== lexiconMtime) {
+      lexiconConfig = JSON.parse(readFileSync(LEXICON_PATH, 'utf8'));
+      lexiconMtime = mtime;
+      lexiconRules.clear();
+    }
+  } catch (error: any) {
+    if (error.code === 'ENOENT') {
+      // The lexicon is optional
+      if (lexiconMtime !== 0) {
+        lexiconConfig = {};
+        lexiconMtime = 0;
+        lexiconRules.clear();
+      }
+    } else if (lexiconMtime !== -1) {
+      // Keep the last good lexicon while the file is being edited
+      logger.error(`⚠️  Could not load ${LEXICON_PATH}`, { error: error.message });
+      lexiconMtime = -1;
+    }
+  }
+  return lexiconConfig;
+}
+
+// Build the matcher for one persona. Terms are normalized like messages, so
+// "Node.js" matches the spoken "Node dot js"; longer terms win over their prefixes.
+function compileLexicon(persona: string) {
+  const lexicon = loadLexicon();
+  const merged: Record<string, string | null> = { ...lexicon.entries, ...lexicon.voices?.[persona] };
+
+  const replacements = new Map<string, string>();
+  for (const [term, replacement] of Object.entries(merged)) {
+    const spoken = normalizeForSpeech(term).replace(/[.!?]$/, '');
+    if (spoken && typeof replacement === 'string') {
+      replacements.set(spoken.toLowerCase(), replacement);
+    }
+  }
+  if (replacements.size === 0) {
+    return null;
+  }
+
+  const alternatives = [...replacements.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(?<![${WORD_CHARS}])(?:${alternatives.join('|')})(?![${WORD_CHARS}])`, 'giu');
+  return { pattern, replacements };
+}
+
+// Apply the lexicon (case-insensitive, whole words) to normalized speech text
+function applyLexicon(text: string, persona?: string): string {
+  loadLexicon();
+  const key = persona || '';
+  if (!lexiconRules.has(key)) {
+    lexiconRules.set(key, compileLexicon(key));
+  }
+
+  const rules = lexiconRules.get(key);
+  return rules ? text.replace(rules.pattern, match => rules.replacements.get(match.toLowerCase()) ?? match) : text;
+}
+
+function isHttpUrl(value: any): boolean {
+  if (typeof value !== 'string') return false;
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+// Validate user input. Text never reaches a shell (spawnSafe passes argument
+// arrays), so any characters are allowed; see normalizeForSpeech and the
+// notifier backends for how it is spoken and displayed.
+function validateInput(input: any, maxLength = 500): { valid: boolean; error?: string } {
+  if (!input || typeof input !== 'string') {
+    return { valid: false, error: 'Invalid input type' };
+  }
+
+  // Count characters, not UTF-16 code units: an emoji or CJK extension
+  // character is one character even though it takes two units
+  if (charLength(normalizeUnicode(input)) > maxLength) {
+    return { valid: false, error: `Message too long (max ${maxLength} characters)` };
+  }
+
+  return { valid: true };
+}
+
+// Audio returned by a TTS provider
+type AudioFormat = 'mp3' | 'aiff' | 'wav';
+
+interface SpeechAudio {
+  data: ArrayBuffer;
+  format: AudioFormat;
+  provider?: string;        // Set by generateSpeech()
+  cached?: boolean;         // Served from the audio cache
+}
+
+// Audio that is still being generated. `body` is played as it arrives;
+// `complete` resolves to the whole clip once the download finishes.
+interface AudioStream {
+  format: AudioFormat;
+  startedAt: number;
+  body: ReadableStream<Uint8Array>;
+  complete: Promise<SpeechAudio>;
+  provider?: string;        // Set by generateSpeech()
+}
+
+function createAudioStream(body: ReadableStream<Uint8Array>, format: AudioFormat, startedAt: number): AudioStream {
+  const [playBranch, saveBranch] = body.tee();
+  const complete = new Response(saveBranch).arrayBuffer().then(data => ({ data, format }));
+  // Callers that only play the stream never await `complete`
+  complete.catch(() => {});
+  return { format, startedAt, body: playBranch, complete };
+}
+
+// Wrap raw 16-bit mono PCM in a WAV header so players accept it
+function pcmToWav(pcm: ArrayBuffer, sampleRate: number): ArrayBuffer {
+  const header = new DataView(new ArrayBuffer(44));
+  const writeTag = (offset: number, tag: string) => {
+    for (let i = 0; i < tag.length; i++) header.setUint8(offset + i, tag.charCodeAt(i));
+  };
+
+  writeTag(0, 'RIFF');
+  header.setUint32(4, 36 + pcm.byteLength, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  header.setUint32(16, 16, true);             // fmt chunk size
+  header.setUint16(20, 1, true);              // PCM
+  header.setUint16(22, 1, true);              // mono
+  header.setUint32(24, sampleRate, true);
+  header.setUint32(28, sampleRate * 2, true); // bytes per second
+  header.setUint16(32, 2, true);              // bytes per frame
+  header.setUint16(34, 16, true);             // bits per sample
+  writeTag(36, 'data');
+  header.setUint32(40, pcm.byteLength, true);
+
+  const wav = new Uint8Array(44 + pcm.byteLength);
+  wav.set(new Uint8Array(header.buffer), 0);
+  wav.set(new Uint8Array(pcm), 44);
+  return wav.buffer;
+}
+
+function isAudioStream(clip: SpeechAudio | AudioStream | SpeechSequence): clip is AudioStream {
+  return 'body' in clip;
+}
+
+// A long message synthesized in chunks and played as one queue item.
+// chunks[i] settles with chunk i's audio; playback awaits them in order.
+interface SpeechSequence {
+  chunks: Promise<SpeechAudio | AudioStream | null>[];
+  position: number;             // Next chunk to play; kept across preemption
+  controller: AbortController;  // Stops synthesis of chunks not started yet
+  provider?: string;            // Provider of the first chunk
+}
+
+type PlaybackClip = SpeechAudio | AudioStream | SpeechSequence;
+
+function isSpeechSequence(clip: PlaybackClip): clip is SpeechSequence {
+  return 'chunks' in clip;
+}
+
+// A text-to-speech engine. synthesize() resolves to null when the provider
+// deliberately produces no audio (the "none" provider). describe() returns
+// every parameter besides the text that affects the audio, for cache keys.
+interface TTSProvider {
+  name: string;
+  isAvailable(): boolean;
+  describe(voice: VoiceSelection): Record<string, any>;
+  synthesize(text: string, voice: VoiceSelection): Promise<SpeechAudio | null>;
+  // Optional: resolve as soon as audio starts arriving
+  synthesizeStream?(text: string, voice: VoiceSelection): Promise<AudioStream>;
+  // Optional: longest text per request; longer messages are chunked
+  maxChunkLength?: number;
+  // Optional: voices the provider offers, for GET /voices
+  listVoices?(): Promise<ProviderVoice[]>;
+  // Optional: charges per character; counted and held to the usage budgets
+  billed?: boolean;
+}
+
+// A voice offered by a provider. `id` is what a persona maps to: the
+// ElevenLabs voice ID, or the local engine's voice name.
+interface ProviderVoice {
+  id: string;
+  name: string;
+  language?: string;
+  category?: string;
+  labels?: Record<string, string>;
+}
+
+// Base URL can point at a local stub server for testing
+const ELEVENLABS_API_URL = (process.env.ELEVENLABS_API_URL || 'https://api.elevenlabs.io').replace(/\/+$/, '');
+
+// Generate speech using ElevenLabs API
+const elevenLabsProvider: TTSProvider = {
+  name: 'elevenlabs',
+  // Well under the API limit; shorter requests start playing sooner
+  maxChunkLength: 1000,
+  billed: true,
+
+  isAvailable() {
+    return !!ELEVENLABS_API_KEY;
+  },
+
+  describe(voice) {
+    return { voice_id: voice.voiceId, ...voice.settings, speed: elevenLabsSpeed(voice) };
+  },
+
+  async synthesize(text, voice) {
+    const response = await requestElevenLabsSpeech(text, voice, false);
+    const data = await response.arrayBuffer();
+    const pcmRate = voice.settings.output_format.match(/^pcm_(\d+)$/)?.[1];
+    return pcmRate ? { data: pcmToWav(data, parseInt(pcmRate)), format: 'wav' } : { data, format: 'mp3' };
+  },
+
+  async listVoices() {
+    const response = await fetchElevenLabs(`${ELEVENLABS_API_URL}/v1/voices`, {
+      headers: { 'xi-api-key': ELEVENLABS_API_KEY || '' },
+    });
+    const { voices = [] } = await response.json() as { voices?: any[] };
+    return voices.map(voice => ({
+      id: voice.voice_id,
+      name: voice.name,
+      category: voice.category,
+      labels: voice.labels,
+    }));
+  },
+
+  async synthesizeStream(text, voice) {
+    const startedAt = Date.now();
+    const response = await requestElevenLabsSpeech(text, voice, true);
+    if (!response.body) {
+      throw new Error('ElevenLabs API returned no stream body');
+    }
+    return createAudioStream(response.body, 'mp3', startedAt);
+  },
+};
+
+// ElevenLabs requests time out in two stages: the response must start within
+// ELEVENLABS_CONNECT_TIMEOUT_MS and be fully read within ELEVENLABS_TIMEOUT_MS.
+// 429s, 5xx responses and connection failures are retried with exponential
+// backoff and jitter; other errors fail at once.
+const ELEVENLABS_CONNECT_TIMEOUT = parseInt(process.env.ELEVENLABS_CONNECT_TIMEOUT_MS || "10000");
+const ELEVENLABS_TIMEOUT = parseInt(process.env.ELEVENLABS_TIMEOUT_MS || "60000");
+const ELEVENLABS_MAX_RETRIES = parseInt(process.env.ELEVENLABS_MAX_RETRIES || "2");
+const ELEVENLABS_RETRY_BASE = parseInt(process.env.ELEVENLABS_RETRY_BASE_MS || "500");
+const MAX_RETRY_DELAY = 30 * 1000;
+
+function isRetryableStatus(status: number): boolean {
+  return status === 429 || status >= 500;
+}
+
+// Half the backoff plus up to half again at random, so clients that failed
+// together do not retry together. A longer Retry-After wins.
+function retryDelay(attempt: number, retryAfter: string | null): number {
+  const backoff = Math.min(ELEVENLABS_RETRY_BASE * 2 ** attempt, MAX_RETRY_DELAY);
+  const requested = retryAfter && /^\d+$/.test(retryAfter) ? parseInt(retryAfter) * 1000 : 0;
+  return Math.round(Math.min(Math.max(backoff / 2 + Math.random() * backoff / 2, requested), MAX_RETRY_DELAY));
+}
+
+// fetch() with timeouts and retries. Resolves to a successful response whose
+// body is still covered by the overall timeout; throws an Error with the
+// HTTP `status` for error responses.
+async function fetchElevenLabs(url: string, init: RequestInit): Promise<Response> {
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const overall = setTimeout(
+      () => controller.abort(new Error(`ElevenLabs request timed out after ${ELEVENLABS_TIMEOUT}ms`)),
+      ELEVENLABS_TIMEOUT
+    );
+    const connect = setTimeout(
+      () => controller.abort(new Error(`ElevenLabs did not respond within ${ELEVENLABS_CONNECT_TIMEOUT}ms`)),
+      ELEVENLABS_CONNECT_TIMEOUT
+    );
+
+    let response: Response;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+    } catch (error: any) {
+      clearTimeout(overall);
+      if (attempt >= ELEVENLABS_MAX_RETRIES) throw error;
+      const delay = retryDelay(attempt, null);
+      logger.warn(`🔁 ElevenLabs request failed, retrying in ${delay}ms`, { error: error?.message || String(error), attempt: attempt + 1 });
+      await Bun.sleep(delay);
+      continue;
+    } finally {
+      clearTimeout(connect);
+    }
+
+    if (response.ok) {
+      if (!response.body) {
+        clearTimeout(overall);
+        return response;
+      }
+      // The overall timeout keeps running until the body has been read
+      const body = response.body.pipeThrough(new TransformStream({ flush: () => clearTimeout(overall) }));
+      return new Response(body, response);
+    }
+
+    const errorText = await response.text().catch(() => '');
+    clearTimeout(overall);
+    const error = Object.assign(new Error(`ElevenLabs API error: ${response.status} - ${errorText}`), { status: response.status });
+    if (attempt >= ELEVENLABS_MAX_RETRIES || !isRetryableStatus(response.status)) throw error;
+    const delay = retryDelay(attempt, response.headers.get('retry-after'));
+    logger.warn(`🔁 ElevenLabs returned ${response.status}, retrying in ${delay}ms`, { attempt: attempt + 1 });
+    await Bun.sleep(delay);
+  }
+}
+
+// POST to the ElevenLabs text-to-speech (or streaming) endpoint
+// Speaking rate both local engines default to
+const DEFAULT_RATE_WPM = 175;
+
+// ElevenLabs speed: `speed` when set, else a persona's rate_wpm relative to
+// DEFAULT_RATE_WPM, clamped to what the API accepts
+function elevenLabsSpeed(voice: VoiceSelection): number | undefined {
+  if (voice.settings.speed !== undefined) return voice.settings.speed;
+  if (!voice.persona || !voice.rateWpm) return undefined;
+  const [min, max] = SETTING_RANGES.speed;
+  return Math.round(Math.min(max, Math.max(min, voice.rateWpm / DEFAULT_RATE_WPM)) * 100) / 100;
+}
+
+async function requestElevenLabsSpeech(text: string, voice: VoiceSelection, stream: boolean): Promise<Response> {
+  if (!ELEVENLABS_API_KEY) {
+    throw new Error('ElevenLabs API key not configured');
+  }
+
+  const { model_id, output_format, ...voiceSettings } = voice.settings;
+  const url = `${ELEVENLABS_API_URL}/v1/text-to-speech/${encodeURIComponent(voice.voiceId)}${stream ? '/stream' : ''}?output_format=${output_format}`;
+
+  const response = await fetchElevenLabs(url, {
+    method: 'POST',
+    headers: {
+      'Accept': output_format.startsWith('pcm_') ? 'audio/pcm' : 'audio/mpeg',
+      'Content-Type': 'application/json',
+      'xi-api-key': ELEVENLABS_API_KEY,
+    },
+    body: JSON.stringify({
+      text: text,
+      model_id,
+      voice_settings: { ...voiceSettings, speed: elevenLabsSpeed(voice) },
+    }),
+  });
+
+  elevenLabsCharacters.inc({ voice: voiceLabel(voice) }, charLength(text));
+  return response;
+}
+
+// Generate speech with the operating system's built-in engine
+// (say on macOS, espeak-ng/espeak elsewhere)
+const LOCAL_TTS_COMMAND = Bun.which('say') || Bun.which('espeak-ng') || Bun.which('espeak');
+
+// Words per minute for the local engine: the persona rate scaled by `speed`
+function localRate(voice: VoiceSelection): number | null {
+  if (voice.settings.speed === undefined) return voice.rateWpm || null;
+  return Math.round((voice.rateWpm || DEFAULT_RATE_WPM) * voice.settings.speed);
+}
+
+const localProvider: TTSProvider = {
+  name: 'local',
+  // say and espeak render the whole text before returning
+  maxChunkLength: 400,
+
+  isAvailable() {
+    return !!LOCAL_TTS_COMMAND;
+  },
+
+  describe(voice) {
+    return { engine: LOCAL_TTS_COMMAND, voice: voice.localVoice || null, rate: localRate(voice) };
+  },
+
+  async synthesize(text, voice) {
+    if (!LOCAL_TTS_COMMAND) {
+      throw new Error('No local TTS engine found (say, espeak-ng or espeak)');
+    }
+
+    // say writes AIFF, espeak writes WAV
+    const format: AudioFormat = LOCAL_TTS_COMMAND.endsWith('/say') ? 'aiff' : 'wav';
+    // Unique: chunks of a long message may be synthesized in parallel
+    const tempFile = `/tmp/voice-${randomUUID()}.${format}`;
+    const args: string[] = [];
+
+    if (format === 'aiff') {
+      // Persona voice names ("Jamie (Premium)") are macOS system voices
+      if (voice.localVoice) args.push('-v', voice.localVoice);
+      const rate = localRate(voice);
+      if (rate) args.push('-r', String(rate));
+      args.push('-o', tempFile, '--', text);
+    } else {
+      const rate = localRate(voice);
+      if (rate) args.push('-s', String(rate));
+      args.push('-w', tempFile, '--', text);
+    }
+
+    try {
+      await spawnSafe(LOCAL_TTS_COMMAND, args);
+      return { data: await Bun.file(tempFile).arrayBuffer(), format };
+    } finally {
+      spawn('/bin/rm', ['-f', tempFile]);
+    }
+  },
+
+  async listVoices() {
+    if (!LOCAL_TTS_COMMAND) {
+      return [];
+    }
+
+    if (LOCAL_TTS_COMMAND.endsWith('/say')) {
+      // "Jamie (Premium)     en_GB    # Hello! My name is Jamie."
+      const output = await spawnOutput(LOCAL_TTS_COMMAND, ['-v', '?']);
+      return output.split('\n').flatMap(line => {
+        const match = line.match(/^(.+?)\s+([a-z]{2,3}[_-]\w+)\s+#/);
+        return match ? [{ id: match[1], name: match[1], language: match[2] }] : [];
+      });
+    }
+
+    // " 5  en-gb    --/M    English_(Great_Britain)    gmw/en    (en 2)"
+    const output = await spawnOutput(LOCAL_TTS_COMMAND, ['--voices']);
+    return output.split('\n').slice(1).flatMap(line => {
+      const [, language, , name] = line.trim().split(/\s+/);
+      return language && name ? [{ id: language, name: name.replace(/_/g, ' '), language }] : [];
+    });
+  },
+};
+
+// Terminal provider: skip speech and only show the desktop notification
+const noneProvider: TTSProvider = {
+  name: 'none',
+
+  isAvailable() {
+    return true;
+  },
+
+  describe() {
+    return {};
+  },
+
+  async synthesize() {
+    return null;
+  },
+};
+
+const PROVIDERS: Record<string, TTSProvider> = {
+  elevenlabs: elevenLabsProvider,
+  local: localProvider,
+  none: noneProvider,
+};
+
+// Ordered failover chain, e.g. TTS_PROVIDERS="elevenlabs -> local -> none"
+const PROVIDER_CHAIN = (process.env.TTS_PROVIDERS || 'elevenlabs,local,none')
+  .split(/\s*(?:,|->)\s*/)
+  .map(name => name.trim().toLowerCase())
+  .filter(name => name.length > 0);
+
+for (const name of PROVIDER_CHAIN) {
+  if (!PROVIDERS[name]) {
+    logger.warn(`⚠️  Unknown TTS provider "${name}" in TTS_PROVIDERS (known: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+}
+
+// Provider failures are reported in /health for this long
+const PROVIDER_FAILURE_WINDOW = 5 * 60 * 1000;
+const providerFailures = new Map<string, { error: string; time: number; count: number }>();
+let activeProvider: string | null = null;
+
+function recordProviderFailure(name: string, error: any) {
+  const previous = providerFailures.get(name);
+  providerFailures.set(name, {
+    error: error?.message || String(error),
+    time: Date.now(),
+    count: (previous?.count || 0) + 1,
+  });
+}
+
+function getRecentProviderFailures() {
+  const now = Date.now();
+  return [...providerFailures.entries()]
+    .filter(([, failure]) => now - failure.time < PROVIDER_FAILURE_WINDOW)
+    .map(([provider, failure]) => ({
+      provider,
+      error: failure.error,
+      count: failure.count,
+      last_failure: new Date(failure.time).toISOString(),
+    }));
+}
+
+// Circuit breaker per provider: after CIRCUIT_BREAKER_THRESHOLD failures in a
+// row the provider is skipped for CIRCUIT_BREAKER_COOLDOWN_SECONDS, then one
+// trial request closes the breaker again or reopens it. Errors the request
+// itself caused (a 400 for bad input) show the provider is up.
+const CIRCUIT_BREAKER_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD || "3");
+const CIRCUIT_BREAKER_COOLDOWN = parseFloat(process.env.CIRCUIT_BREAKER_COOLDOWN_SECONDS || "60") * 1000;
+
+interface CircuitBreaker {
+  state: 'closed' | 'open' | 'half_open';
+  failures: number;           // Consecutive failures
+  changedAt: number;          // When it opened, or when the trial started
+}
+
+const circuitBreakers = new Map<string, CircuitBreaker>();
+
+function getBreaker(name: string): CircuitBreaker {
+  let breaker = circuitBreakers.get(name);
+  if (!breaker) {
+    breaker = { state: 'closed', failures: 0, changedAt: Date.now() };
+    circuitBreakers.set(name, breaker);
+  }
+  return breaker;
+}
+
+// Whether the provider may be called now. Past the cool-down the caller
+// becomes the trial; a trial that never settles is replaced after another.
+function breakerAllows(name: string): boolean {
+  const breaker = getBreaker(name);
+  if (breaker.state === 'closed' || CIRCUIT_BREAKER_THRESHOLD <= 0) return true;
+  if (Date.now() - breaker.changedAt < CIRCUIT_BREAKER_COOLDOWN) return false;
+
+  breaker.state = 'half_open';
+  breaker.changedAt = Date.now();
+  logger.info(`🔌 Circuit breaker for ${name} half-open, sending a trial request`);
+  return true;
+}
+
+function recordBreakerSuccess(name: string) {
+  const breaker = getBreaker(name);
+  if (breaker.state !== 'closed') {
+    logger.info(`🔌 Circuit breaker for ${name} closed`);
+  }
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.changedAt = Date.now();
+}
+
+function recordBreakerFailure(name: string, error: any) {
+  const status = error?.status;
+  if (typeof status === 'number' && status >= 400 && status < 500 && ![401, 403, 408, 429].includes(status)) {
+    recordBreakerSuccess(name);
+    return;
+  }
+
+  const breaker = getBreaker(name);
+  breaker.failures++;
+  if (CIRCUIT_BREAKER_THRESHOLD > 0 && (breaker.state === 'half_open' || breaker.failures >= CIRCUIT_BREAKER_THRESHOLD)) {
+    if (breaker.state !== 'open') {
+      logger.warn(`🔌 Circuit breaker for ${name} open for ${CIRCUIT_BREAKER_COOLDOWN / 1000}s after ${breaker.failures} failures`);
+    }
+    breaker.state = 'open';
+    breaker.changedAt = Date.now();
+  }
+}
+
+function getBreakerStatus() {
+  return Object.fromEntries(PROVIDER_CHAIN.filter(name => PROVIDERS[name] && PROVIDERS[name] !== noneProvider).map(name => {
+    const breaker = getBreaker(name);
+    return [name, {
+      state: breaker.state,
+      consecutive_failures: breaker.failures,
+      ...(breaker.state === 'open' ? { retry_at: new Date(breaker.changedAt + CIRCUIT_BREAKER_COOLDOWN).toISOString() } : {}),
+    }];
+  }));
+}
+
+// Content-addressed disk cache for synthesized audio. Entries are keyed by
+// provider, text and every provider parameter, evicted least-recently-used
+// beyond AUDIO_CACHE_MAX_MB and expired after AUDIO_CACHE_TTL_DAYS.
+const AUDIO_CACHE_ENABLED = process.env.AUDIO_CACHE !== 'false';
+const AUDIO_CACHE_DIR = process.env.AUDIO_CACHE_DIR || join(import.meta.dir, 'cache');
+const AUDIO_CACHE_MAX_BYTES = parseFloat(process.env.AUDIO_CACHE_MAX_MB || "100") * 1024 * 1024;
+const AUDIO_CACHE_TTL = parseFloat(process.env.AUDIO_CACHE_TTL_DAYS || "30") * 24 * 60 * 60 * 1000;
+
+interface CacheEntry {
+  file: string;
+  format: AudioFormat;
+  size: number;
+  createdAt: number;
+  lastUsed: number;
+}
+
+const audioCache = new Map<string, CacheEntry>();
+const cacheStats = { hits: 0, misses: 0 };
+let audioCacheBytes = 0;
+
+// Index existing cache files; file names are <key>.<format>
+function initAudioCache() {
+  if (!AUDIO_CACHE_ENABLED) {
+    return;
+  }
+
+  try {
+    mkdirSync(AUDIO_CACHE_DIR, { recursive: true });
+
+    for (const name of readdirSync(AUDIO_CACHE_DIR)) {
+      const match = name.match(/^([0-9a-f]{64})\.(mp3|aiff|wav)$/);
+      if (!match) continue;
+
+      const file = join(AUDIO_CACHE_DIR, name);
+      const stats = statSync(file);
+      audioCache.set(match[1], {
+        file,
+        format: match[2] as AudioFormat,
+        size: stats.size,
+        createdAt: stats.mtimeMs,
+        lastUsed: stats.mtimeMs,
+      });
+      audioCacheBytes += stats.size;
+    }
+
+    pruneAudioCache();
+  } catch (error: any) {
+    logger.error(`⚠️  Audio cache unavailable (${AUDIO_CACHE_DIR})`, { error: error.message });
+  }
+}
+
+function audioCacheKey(provider: TTSProvider, text: string, voice: VoiceSelection): string {
+  return createHash('sha256')
+    .update(JSON.stringify({ provider: provider.name, text, params: provider.describe(voice) }))
+    .digest('hex');
+}
+
+function removeCacheEntry(key: string) {
+  const entry = audioCache.get(key);
+  if (!entry) return;
+
+  audioCache.delete(key);
+  audioCacheBytes -= entry.size;
+  try {
+    unlinkSync(entry.file);
+  } catch {
+    // Already gone
+  }
+}
+
+// Drop expired entries, then least-recently-used ones until under the size cap
+function pruneAudioCache() {
+  const now = Date.now();
+  for (const [key, entry] of audioCache) {
+    if (now - entry.createdAt > AUDIO_CACHE_TTL) {
+      removeCacheEntry(key);
+    }
+  }
+
+  if (audioCacheBytes <= AUDIO_CACHE_MAX_BYTES) {
+    return;
+  }
+
+  const byLastUse = [...audioCache.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+  for (const [key] of byLastUse) {
+    if (audioCacheBytes <= AUDIO_CACHE_MAX_BYTES) break;
+    removeCacheEntry(key);
+  }
+}
+
+function readCachedAudio(key: string): SpeechAudio | null {
+  const entry = audioCache.get(key);
+  if (!entry) {
+    return null;
+  }
+
+  if (Date.now() - entry.createdAt > AUDIO_CACHE_TTL) {
+    removeCacheEntry(key);
+    return null;
+  }
+
+  try {
+    const data = readFileSync(entry.file);
+    entry.lastUsed = Date.now();
+    return { data: data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength), format: entry.format };
+  } catch {
+    removeCacheEntry(key);
+    return null;
+  }
+}
+
+function writeCachedAudio(key: string, audio: SpeechAudio) {
+  const file = join(AUDIO_CACHE_DIR, `${key}.${audio.format}`);
+
+  try {
+    // Drop any entry for the same key first: it shares this file, so removing
+    // it afterwards (as when two identical misses finish together) would
+    // delete the clip just written
+    removeCacheEntry(key);
+    writeFileSync(file, new Uint8Array(audio.data));
+    const now = Date.now();
+    audioCache.set(key, { file, format: audio.format, size: audio.data.byteLength, createdAt: now, lastUsed: now });
+    audioCacheBytes += audio.data.byteLength;
+    pruneAudioCache();
+  } catch (error: any) {
+    logger.error('⚠️  Failed to cache audio', { error: error.message });
+  }
+}
+
+function getCacheStatus() {
+  const lookups = cacheStats.hits + cacheStats.misses;
+  return {
+    enabled: AUDIO_CACHE_ENABLED,
+    entries: audioCache.size,
+    size_bytes: audioCacheBytes,
+    max_bytes: AUDIO_CACHE_MAX_BYTES,
+    hits: cacheStats.hits,
+    misses: cacheStats.misses,
+    hit_ratio: lookups > 0 ? cacheStats.hits / lookups : null
+  };
+}
+
+initAudioCache();
+
+// Provider that last produced speech, or the first usable one in the chain
+function getActiveProvider(): string | null {
+  return activeProvider || PROVIDER_CHAIN.find(name => PROVIDERS[name]?.isAvailable()) || null;
+}
+
+// Voice listings for GET /voices, cached per provider for VOICES_CACHE_TTL_MINUTES
+const VOICES_CACHE_TTL = parseFloat(process.env.VOICES_CACHE_TTL_MINUTES || "60") * 60 * 1000;
+const voiceListCache = new Map<string, { voices: ProviderVoice[]; fetchedAt: number }>();
+
+async function listProviderVoices(name: string, refresh = false): Promise<{ voices: ProviderVoice[]; fetchedAt: number }> {
+  const cached = voiceListCache.get(name);
+  if (cached && !refresh && Date.now() - cached.fetchedAt < VOICES_CACHE_TTL) {
+    return cached;
+  }
+
+  const provider = PROVIDERS[name];
+  try {
+    const listing = { voices: provider?.listVoices ? await provider.listVoices() : [], fetchedAt: Date.now() };
+    voiceListCache.set(name, listing);
+    return listing;
+  } catch (error: any) {
+    // A stale listing beats none while the provider is unreachable
+    if (cached) {
+      logger.warn(`⚠️  Could not refresh ${name} voices, serving cached list`, { error: error.message });
+      return cached;
+    }
+    throw error;
+  }
+}
+
+// Personas from voices.json merged with the active provider's voices. Each
+// persona shows the provider voice it maps to; each voice, its personas.
+async function getVoices(refresh = false) {
+  const provider = getActiveProvider();
+  const config = loadVoicesConfig();
+
+  let listing: { voices: ProviderVoice[]; fetchedAt: number } | null = null;
+  let error: string | undefined;
+  if (provider) {
+    try {
+      listing = await listProviderVoices(provider, refresh);
+    } catch (listError: any) {
+      error = listError?.message || String(listError);
+      logger.warn(`⚠️  Could not list ${provider} voices`, { error });
+    }
+  }
+
+  const byId = new Map((listing?.voices || []).map(voice => [voice.id, voice]));
+
+  // espeak takes no persona voice, so personas only map to ElevenLabs voices or say voices
+  const providerVoiceId = (persona: Persona): string | null => {
+    if (provider === 'elevenlabs') return persona.voice_id || DEFAULT_VOICE_ID;
+    if (provider === 'local' && LOCAL_TTS_COMMAND?.endsWith('/say')) return persona.voice_name || null;
+    return null;
+  };
+
+  const personas = Object.entries(config.voices).map(([name, persona]) => {
+    const voiceId = providerVoiceId(persona);
+    const voice = voiceId ? byId.get(voiceId) : undefined;
+    return {
+      name,
+      description: persona.description || null,
+      voice_id: voiceId,
+      voice_name: voice?.name || null,
+      available: voiceId && listing ? !!voice : null,
+      elevenlabs_voice_id: persona.voice_id || DEFAULT_VOICE_ID,
+      local_voice: persona.voice_name || null,
+    };
+  });
+
+  return {
+    provider,
+    default_voice_id: DEFAULT_VOICE_ID,
+    personas,
+    voices: (listing?.voices || []).map(voice => ({
+      ...voice,
+      personas: personas.filter(persona => persona.voice_id === voice.id).map(persona => persona.name),
+    })),
+    fetched_at: listing ? new Date(listing.fetchedAt).toISOString() : null,
+    ...(error ? { error } : {}),
+  };
+}
+
+// Generate speech with the first provider in the chain that succeeds.
+// Cached audio is served without calling the provider at all. With
+// stream=true, providers that support it return an AudioStream instead.
+// Returns null when the chain falls through to "none". `client` is who the
+// characters are counted against (see recordUsage). For one chunk of a longer
+// message, `withinBudget` is the budget check already made for the whole
+// message, so every chunk goes to the same provider.
+async function generateSpeech(
+  text: string,
+  voice: VoiceSelection,
+  stream = false,
+  requestId?: string,
+  client?: string,
+  withinBudget?: boolean
+): Promise<SpeechAudio | AudioStream | null> {
+  const errors: string[] = [];
+
+  for (const name of PROVIDER_CHAIN) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      continue;
+    }
+
+    // Cached audio stays usable even while its provider is unavailable
+    const cacheKey = AUDIO_CACHE_ENABLED && provider !== noneProvider ? audioCacheKey(provider, text, voice) : null;
+    if (cacheKey) {
+      const cached = readCachedAudio(cacheKey);
+      if (cached) {
+        cacheStats.hits++;
+        logger.info('💾 Audio cache hit', { provider: name, request_id: requestId });
+        return { ...cached, provider: name, cached: true };
+      }
+    }
+
+    if (!provider.isAvailable()) {
+      continue;
+    }
+
+    if (!breakerAllows(name)) {
+      errors.push(`${name}: circuit breaker open`);
+      continue;
+    }
+
+    if (provider.billed && !(withinBudget ?? budgetAllows(charLength(text)))) {
+      if (USAGE_BUDGET_ACTION === 'notify-only') {
+        return null;
+      }
+      errors.push(`${name}: character budget exhausted`);
+      continue;
+    }
+
+    try {
+      const startedAt = Date.now();
+      const audio = stream && provider.synthesizeStream
+        ? await provider.synthesizeStream(text, voice)
+        : await provider.synthesize(text, voice);
+      if (activeProvider !== name) {
+        logger.info(`🔀 TTS provider now: ${name}`, { request_id: requestId });
+      }
+      activeProvider = name;
+      if (audio && isAudioStream(audio)) {
+        // A stream can still fail after its headers; judge the provider by the whole body
+        audio.complete.then(() => recordBreakerSuccess(name), error => {
+          logger.warn(`⚠️  TTS provider ${name} stream failed`, { error: error?.message || String(error), request_id: requestId });
+          recordProviderFailure(name, error);
+          recordBreakerFailure(name, error);
+        });
+      } else {
+        recordBreakerSuccess(name);
+      }
+      if (provider.billed) {
+        recordUsage(name, voice, client, charLength(text));
+      }
+      if (audio) {
+        audio.provider = name;
+        synthesisDuration.observe({ provider: name, voice: voiceLabel(voice) }, (Date.now() - startedAt) / 1000);
+      }
+      logger.debug('🎙️  Synthesized speech', { provider: name, stream: audio ? isAudioStream(audio) : false, ms: Date.now() - startedAt, request_id: requestId });
+      if (audio && cacheKey) {
+        cacheStats.misses++;
+        if (isAudioStream(audio)) {
+          audio.complete.then(full => writeCachedAudio(cacheKey, full), () => {});
+        } else {
+          writeCachedAudio(cacheKey, audio);
+        }
+      }
+      return audio;
+    } catch (error: any) {
+      logger.warn(`⚠️  TTS provider ${name} failed`, { error: error?.message || String(error), request_id: requestId });
+      recordProviderFailure(name, error);
+      recordBreakerFailure(name, error);
+      errors.push(`${name}: ${error?.message || error}`);
+    }
+  }
+
+  throw new Error(`All TTS providers failed (${errors.join('; ') || 'none available'})`);
+}
+
+// Long messages: spoken text is split at sentence boundaries into chunks
+// the provider handles comfortably (SPEECH_CHUNK_SIZE overrides the
+// provider's size). Up to SPEECH_CONCURRENCY chunks are synthesized at once,
+// ahead of playback, so chunks play back-to-back.
+const MAX_MESSAGE_LENGTH = parseInt(process.env.MAX_MESSAGE_LENGTH || "5000");
+const SPEECH_CHUNK_SIZE = parseInt(process.env.SPEECH_CHUNK_SIZE || "0");
+const SPEECH_CONCURRENCY = Math.max(1, parseInt(process.env.SPEECH_CONCURRENCY || "1"));
+const DEFAULT_CHUNK_SIZE = 1000;
+
+const sentenceSegmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+
+function getChunkSize(): number {
+  if (SPEECH_CHUNK_SIZE > 0) return SPEECH_CHUNK_SIZE;
+  const provider = PROVIDERS[getActiveProvider() || ''];
+  return provider?.maxChunkLength || DEFAULT_CHUNK_SIZE;
+}
+
+// A sentence longer than a chunk is split between words, and a word longer
+// than a chunk (scripts written without spaces) between characters
+function splitLongSentence(sentence: string, maxLength: number): string[] {
+  return (sentence.match(/\S+\s*/g) || []).flatMap(word => {
+    const chars = Array.from(word);
+    if (chars.length <= maxLength) return [word];
+    const parts: string[] = [];
+    for (let i = 0; i < chars.length; i += maxLength) {
+      parts.push(chars.slice(i, i + maxLength).join(''));
+    }
+    return parts;
+  });
+}
+
+// Pack whole sentences into chunks of at most maxLength characters
+function splitIntoChunks(text: string, maxLength: number): string[] {
+  const pieces = [...sentenceSegmenter.segment(text)].flatMap(({ segment }) =>
+    charLength(segment) <= maxLength ? [segment] : splitLongSentence(segment, maxLength)
+  );
+
+  const chunks: string[] = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && charLength(current) + charLength(piece) > maxLength) {
+      chunks.push(current.trim());
+      current = '';
+    }
+    current += piece;
+  }
+  if (current.trim()) {
+    chunks.push(current.trim());
+  }
+  return chunks;
+}
+
+// Runs tasks at most `concurrency` at a time, in the order they were given
+interface Limiter {
+  run<T>(task: () => Promise<T>): Promise<T>;
+}
+
+function createLimiter(concurrency: number): Limiter {
+  let active = 0;
+  const waiting: (() => void)[] = [];
+
+  return {
+    async run(task) {
+      if (active < concurrency) {
+        active++;
+      } else {
+        // A finishing task hands its slot straight to the next one
+        await new Promise<void>(resolve => waiting.push(resolve));
+      }
+      try {
+        return await task();
+      } finally {
+        const next = waiting.shift();
+        if (next) next();
+        else active--;
+      }
+    },
+  };
+}
+
+// Start synthesizing every chunk, SPEECH_CONCURRENCY at a time (sharing the
+// batch's limiter when part of one). Only the first chunk streams; the rest are ready
+// before their turn to play. The whole message is held to the character
+// budgets up front, so a budget running out part-way cannot leave gaps.
+function synthesizeChunks(
+  chunks: string[],
+  voice: VoiceSelection,
+  stream: boolean,
+  requestId?: string,
+  client?: string,
+  limiter = createLimiter(SPEECH_CONCURRENCY)
+): SpeechSequence {
+  const controller = new AbortController();
+  const withinBudget = budgetAllows(chunks.reduce((total, chunk) => total + charLength(chunk), 0));
+  const pending = chunks.map((chunk, index) => limiter.run(async () => {
+    if (controller.signal.aborted) {
+      throw new Error('Speech cancelled');
+    }
+    return generateSpeech(chunk, voice, stream && index === 0, requestId, client, withinBudget);
+  }));
+  // A cancelled sequence's chunks are never awaited
+  pending.forEach(promise => promise.catch(() => {}));
+
+  return { chunks: pending, position: 0, controller };
+}
+
+// Synthesize text for playback: one clip, or a sequence when it needs more
+// than one chunk. Resolves once the first audio is ready; null when the
+// provider chain fell through to "none". A batch passes its shared limiter.
+async function prepareSpeech(
+  text: string,
+  voice: VoiceSelection,
+  stream = false,
+  requestId?: string,
+  client?: string,
+  limiter?: Limiter
+): Promise<PlaybackClip | null> {
+  text = applyLexicon(text, voice.persona);
+  const chunks = splitIntoChunks(text, getChunkSize());
+  if (chunks.length <= 1) {
+    const generate = () => generateSpeech(text, voice, stream, requestId, client);
+    return limiter ? limiter.run(generate) : generate();
+  }
+
+  logger.debug(`✂️  Speaking in ${chunks.length} chunks`, { request_id: requestId });
+  const sequence = synthesizeChunks(chunks, voice, stream, requestId, client, limiter);
+  try {
+    const first = await sequence.chunks[0];
+    if (!first) {
+      sequence.controller.abort();
+      return null;
+    }
+    sequence.provider = first.provider;
+    return sequence;
+  } catch (error) {
+    sequence.controller.abort();
+    throw error;
+  }
+}
+
+// Render-only synthesis for POST /speak: the whole message is synthesized
+// and returned as one file in the requested format, never played. MP3 chunks
+// are joined as they are; WAV and PCM chunks are joined sample by sample.
+type RenderFormat = 'mp3' | 'wav' | 'pcm';
+const RENDER_FORMATS: RenderFormat[] = ['mp3', 'wav', 'pcm'];
+const DEFAULT_PCM_FORMAT = 'pcm_24000';
+
+// Used when a provider's audio is not in the requested format
+const FFMPEG_COMMAND = Bun.which('ffmpeg');
+const AFCONVERT_COMMAND = Bun.which('afconvert');
+
+interface RenderedSpeech {
+  data: ArrayBuffer;
+  contentType: string;
+  provider: string | null;
+}
+
+function isRenderFormat(value: any): value is RenderFormat {
+  return RENDER_FORMATS.includes(value);
+}
+
+// The ElevenLabs output_format for a requested format. A persona's format
+// gives way to the request, but an explicit output_format must agree.
+function renderOutputFormat(format: RenderFormat, settings: SpeechSettings, explicit: boolean): string {
+  const current = settings.output_format;
+  if (current.startsWith('pcm_') === (format !== 'mp3')) {
+    return current;
+  }
+  if (explicit) {
+    throw new Error(`Invalid format: ${format} does not match output_format ${current}`);
+  }
+  return format === 'mp3' ? DEFAULT_SPEECH_SETTINGS.output_format : DEFAULT_PCM_FORMAT;
+}
+
+function concatBuffers(parts: ArrayBuffer[]): ArrayBuffer {
+  const joined = new Uint8Array(parts.reduce((total, part) => total + part.byteLength, 0));
+  let offset = 0;
+  for (const part of parts) {
+    joined.set(new Uint8Array(part), offset);
+    offset += part.byteLength;
+  }
+  return joined.buffer;
+}
+
+// The samples and rate of a 16-bit mono WAV file, the layout pcmToWav
+// writes and the local engines produce
+function parseWav(data: ArrayBuffer): { pcm: ArrayBuffer; sampleRate: number } {
+  const view = new DataView(data);
+  const tag = (offset: number) => String.fromCharCode(...new Uint8Array(data, offset, 4));
+  if (data.byteLength < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') {
+    throw new Error('Synthesized audio is not a WAV file');
+  }
+
+  let sampleRate = 0;
+  for (let offset = 12; offset + 8 <= data.byteLength;) {
+    const size = view.getUint32(offset + 4, true);
+    if (tag(offset) === 'fmt ') {
+      if (view.getUint16(offset + 10, true) !== 1 || view.getUint16(offset + 22, true) !== 16) {
+        throw new Error('Synthesized audio is not 16-bit mono');
+      }
+      sampleRate = view.getUint32(offset + 12, true);
+    } else if (tag(offset) === 'data' && sampleRate) {
+      return { pcm: data.slice(offset + 8, Math.min(offset + 8 + size, data.byteLength)), sampleRate };
+    }
+    offset += 8 + size + (size % 2);
+  }
+
+  throw new Error('Synthesized audio has no WAV data');
+}
+
+// Convert a clip with ffmpeg, or with afconvert (macOS) when WAV is enough
+async function convertAudio(audio: SpeechAudio, to: 'mp3' | 'wav'): Promise<ArrayBuffer> {
+  let command: string;
+  let args: (input: string, output: string) => string[];
+  if (FFMPEG_COMMAND) {
+    command = FFMPEG_COMMAND;
+    args = (input, output) => ['-loglevel', 'error', '-y', '-i', input, '-ac', '1', output];
+  } else if (AFCONVERT_COMMAND && to === 'wav') {
+    command = AFCONVERT_COMMAND;
+    args = (input, output) => ['-f', 'WAVE', '-d', 'LEI16', '-c', '1', input, output];
+  } else {
+    throw new Error(`Converting ${audio.format} audio to ${to} requires ffmpeg`);
+  }
+
+  const input = `/tmp/voice-${randomUUID()}.${audio.format}`;
+  const output = `/tmp/voice-${randomUUID()}.${to}`;
+  try {
+    await Bun.write(input, audio.data);
+    await spawnSafe(command, args(input, output));
+    return await Bun.file(output).arrayBuffer();
+  } finally {
+    spawn('/bin/rm', ['-f', input, output]);
+  }
+}
+
+// Synthesize every chunk of text and join them in `format`, or in the
+// provider's own format (MP3, otherwise WAV) when none is given. Null when
+// the provider chain fell through to "none".
+async function renderSpeech(
+  text: string,
+  voice: VoiceSelection,
+  format: RenderFormat | null,
+  requestId?: string,
+  client?: string
+): Promise<RenderedSpeech | null> {
+  text = applyLexicon(text, voice.persona);
+  const sequence = synthesizeChunks(splitIntoChunks(text, getChunkSize()), voice, false, requestId, client);
+
+  let clips: (SpeechAudio | null)[];
+  try {
+    // Not streamed, so every chunk is a complete clip
+    clips = await Promise.all(sequence.chunks) as (SpeechAudio | null)[];
+  } catch (error) {
+    sequence.controller.abort();
+    throw error;
+  }
+  if (clips.some(clip => !clip)) {
+    return null;
+  }
+
+  const audio = clips as SpeechAudio[];
+  const provider = audio[0].provider || null;
+  const target = format || (audio.every(clip => clip.format === 'mp3') ? 'mp3' : 'wav');
+
+  if (target === 'mp3') {
+    const parts = await Promise.all(audio.map(clip => clip.format === 'mp3' ? clip.data : convertAudio(clip, 'mp3')));
+    return { data: concatBuffers(parts), contentType: 'audio/mpeg', provider };
+  }
+
+  const wavs = await Promise.all(audio.map(clip => clip.format === 'wav' ? clip.data : convertAudio(clip, 'wav')));
+  const parts = wavs.map(parseWav);
+  const sampleRate = parts[0].sampleRate;
+  if (parts.some(part => part.sampleRate !== sampleRate)) {
+    throw new Error('Chunks were synthesized at different sample rates');
+  }
+
+  const pcm = concatBuffers(parts.map(part => part.pcm));
+  return target === 'pcm'
+    ? { data: pcm, contentType: `audio/pcm;rate=${sampleRate};channels=1`, provider }
+    : { data: pcmToWav(pcm, sampleRate), contentType: 'audio/wav', provider };
+}
+
+// Audio player backends. AUDIO_PLAYER selects one: "auto" (default) detects
+// the installed players, a backend name forces one, "file" writes clips to
+// AUDIO_OUTPUT_DIR, "null" discards them, and anything else is a command
+// template in which {file} is replaced with the clip path.
+interface PlayerBackend {
+  name: string;
+  command: string;
+  fileArgs: string[];       // {file} is replaced with the clip path
+  stdinArgs?: string[];     // Arguments for audio piped to stdin (streaming)
+  formats: AudioFormat[];
+}
+
+const ALL_FORMATS: AudioFormat[] = ['mp3', 'aiff', 'wav'];
+
+// Auto-detection order; universal players first so MP3 works wherever possible
+const PLAYER_BACKENDS: PlayerBackend[] = [
+  { name: 'afplay', command: 'afplay', fileArgs: ['{file}'], formats: ALL_FORMATS },
+  {
+    name: 'mpv',
+    command: 'mpv',
+    fileArgs: ['--no-video', '--really-quiet', '{file}'],
+    stdinArgs: ['--no-video', '--really-quiet', '-'],
+    formats: ALL_FORMATS,
+  },
+  {
+    name: 'ffplay',
+    command: 'ffplay',
+    fileArgs: ['-nodisp', '-autoexit', '-loglevel', 'quiet', '{file}'],
+    stdinArgs: ['-nodisp', '-autoexit', '-loglevel', 'quiet', '-'],
+    formats: ALL_FORMATS,
+  },
+  { name: 'paplay', command: 'paplay', fileArgs: ['{file}'], formats: ['wav', 'aiff'] },
+  { name: 'aplay', command: 'aplay', fileArgs: ['-q', '{file}'], formats: ['wav'] },
+  { name: 'mpg123', command: 'mpg123', fileArgs: ['-q', '{file}'], stdinArgs: ['-q', '-'], formats: ['mp3'] },
+];
+
+const AUDIO_PLAYER = (process.env.AUDIO_PLAYER || 'auto').trim();
+const AUDIO_OUTPUT_DIR = process.env.AUDIO_OUTPUT_DIR || join(import.meta.dir, 'clips');
+
+// "device" plays through a player process; "file" and "null" are sinks
+const AUDIO_SINK: 'device' | 'file' | 'null' =
+  AUDIO_PLAYER === 'file' || AUDIO_PLAYER === 'null' ? AUDIO_PLAYER : 'device';
+
+function detectPlayers(): PlayerBackend[] {
+  if (AUDIO_SINK !== 'device') {
+    return [];
+  }
+
+  if (AUDIO_PLAYER === 'auto') {
+    return PLAYER_BACKENDS.filter(backend => Bun.which(backend.command));
+  }
+
+  const named = PLAYER_BACKENDS.find(backend => backend.name === AUDIO_PLAYER);
+  if (named) {
+    return [named];
+  }
+
+  // Command template, e.g. AUDIO_PLAYER="cvlc --play-and-exit {file}"
+  const [command, ...args] = AUDIO_PLAYER.split(/\s+/);
+  return [{
+    name: 'custom',
+    command,
+    fileArgs: args.includes('{file}') ? args : [...args, '{file}'],
+    formats: ALL_FORMATS,
+  }];
+}
+
+const PLAYERS = detectPlayers();
+
+// Streaming playback needs a player that reads audio from stdin.
+// STREAMING=true opts in; STREAM_PLAYER overrides the detected command.
+const STREAMING_ENABLED = process.env.STREAMING === 'true';
+const STREAM_PLAYER: string[] | null = AUDIO_SINK !== 'device' ? null
+  : process.env.STREAM_PLAYER ? process.env.STREAM_PLAYER.trim().split(/\s+/)
+  : (() => {
+    const backend = PLAYERS.find(player => player.stdinArgs);
+    return backend ? [backend.command, ...backend.stdinArgs!] : null;
+  })();
+
+function selectPlayer(format: AudioFormat): PlayerBackend | null {
+  return PLAYERS.find(player => player.formats.includes(format)) || null;
+}
+
+function getPlayerStatus() {
+  return {
+    backend: AUDIO_SINK === 'device' ? (PLAYERS[0]?.name || null) : AUDIO_SINK,
+    detected: PLAYERS.map(player => player.name),
+    stream_player: STREAM_PLAYER ? STREAM_PLAYER[0] : null,
+    output_dir: AUDIO_SINK === 'file' ? AUDIO_OUTPUT_DIR : undefined
+  };
+}
+
+// Run a player process to completion. Aborting the signal stops playback.
+// With a stream, audio chunks are piped to the player's stdin as they arrive.
+async function runPlayer(
+  command: string,
+  args: string[],
+  signal?: AbortSignal,
+  stream?: AudioStream,
+  requestId?: string
+): Promise<void> {
+  const proc = spawn(command, args, { signal, stdio: [stream ? 'pipe' : 'ignore', 'ignore', 'ignore'] });
+
+  const exited = new Promise<void>((resolve, reject) => {
+    proc.on('error', (error) => {
+      if (!signal?.aborted) {
+        logger.error(`Error playing audio with ${command}`, { error: error.message, request_id: requestId });
+      }
+      reject(error);
+    });
+
+    proc.on('exit', (code) => {
+      if (code === 0) {
+        resolve();
+      } else if (signal?.aborted) {
+        reject(new Error('Playback interrupted'));
+      } else {
+        reject(new Error(`${command} exited with code ${code}`));
+      }
+    });
+  });
+
+  if (!stream) {
+    return exited;
+  }
+
+  exited.catch(() => {});
+
+  // The player exit code reports why writes failed
+  proc.stdin!.on('error', () => {});
+
+  let firstChunk = true;
+  try {
+    for await (const chunk of stream.body) {
+      if (signal?.aborted || proc.exitCode !== null) {
+        break;
+      }
+
+      if (firstChunk) {
+        firstChunk = false;
+        logger.info(`⏱️  Time to first audio: ${Date.now() - stream.startedAt}ms`, { request_id: requestId });
+      }
+
+      if (!proc.stdin!.write(chunk)) {
+        await Promise.race([
+          new Promise(resolve => proc.stdin!.once('drain', resolve)),
+          exited.catch(() => {}),
+        ]);
+      }
+    }
+  } catch (error) {
+    // The stream failed part-way (timeout or dropped connection): stop the
+    // player rather than leave it waiting for audio that will never come
+    proc.kill();
+    throw error;
+  } finally {
+    proc.stdin!.end();
+  }
+
+  return exited;
+}
+
+// Play a clip through the configured backend or sink
+async function playAudio(clip: SpeechAudio | AudioStream, signal?: AbortSignal, requestId?: string): Promise<void> {
+  if (AUDIO_SINK === 'null') {
+    if (isAudioStream(clip)) await clip.complete;
+    return;
+  }
+
+  if (isAudioStream(clip) && AUDIO_SINK === 'device' && STREAM_PLAYER) {
+    const [command, ...args] = STREAM_PLAYER;
+    return runPlayer(command, args, signal, clip, requestId);
+  }
+
+  const audio = isAudioStream(clip) ? await clip.complete : clip;
+
+  if (AUDIO_SINK === 'file') {
+    mkdirSync(AUDIO_OUTPUT_DIR, { recursive: true });
+    const file = join(AUDIO_OUTPUT_DIR, `voice-${Date.now()}-${randomUUID().slice(0, 8)}.${audio.format}`);
+    await Bun.write(file, audio.data);
+    logger.info(`💾 Wrote clip: ${file}`, { request_id: requestId });
+    return;
+  }
+
+  const player = selectPlayer(audio.format);
+  if (!player) {
+    throw new Error(
+      PLAYERS.length > 0
+        ? `No audio player for ${audio.format} (detected: ${PLAYERS.map(p => p.name).join(', ')})`
+        : 'No audio player found; install afplay, mpv, ffplay, paplay or aplay, or set AUDIO_PLAYER'
+    );
+  }
+
+  const tempFile = `/tmp/voice-${randomUUID()}.${audio.format}`;
+
+  // Write audio to temp file
+  await Bun.write(tempFile, audio.data);
+
+  try {
+    await runPlayer(player.command, player.fileArgs.map(arg => arg === '{file}' ? tempFile : arg), signal, undefined, requestId);
+  } finally {
+    // Clean up temp file
+    spawn('/bin/rm', ['-f', tempFile]);
+  }
+}
+
+// Play a chunked message. Playback only waits on synthesis if it falls
+// behind; an abort (preemption or cancel) stops at the current chunk.
+async function playSequence(sequence: SpeechSequence, signal: AbortSignal, requestId?: string): Promise<void> {
+  const aborted = new Promise<never>((_, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('Playback aborted')), { once: true });
+  });
+  aborted.catch(() => {});
+
+  while (sequence.position < sequence.chunks.length) {
+    if (signal.aborted) {
+      throw new Error('Playback aborted');
+    }
+    const clip = await Promise.race([sequence.chunks[sequence.position], aborted]);
+    if (clip) {
+      await playAudio(clip, signal, requestId);
+    }
+    sequence.position++;
+  }
+}
+
+// Stop any synthesis still running for a clip that will not be played
+function releaseClip(clip: PlaybackClip) {
+  if (isSpeechSequence(clip)) {
+    clip.controller.abort();
+  }
+}
+
+// Playback queue: clips play one at a time, highest priority first.
+// Urgent clips interrupt non-urgent playback; the interrupted clip is replayed afterwards.
+type Priority = 'low' | 'normal' | 'urgent';
+const PRIORITY_RANK: Record<Priority, number> = { low: 0, normal: 1, urgent: 2 };
+
+const PLAYBACK_QUEUE_MAX = parseInt(process.env.PLAYBACK_QUEUE_MAX || "10");
+// When the queue is full, drop the oldest or the newest clip of the lowest priority
+const PLAYBACK_DROP_POLICY: 'oldest' | 'newest' = process.env.PLAYBACK_DROP_POLICY === 'newest' ? 'newest' : 'oldest';
+
+interface PlaybackItem {
+  id: number;
+  clip: PlaybackClip;
+  priority: Priority;
+  label: string;
+  requestId?: string;
+  queuedAt: number;
+  onStart?: () => void;     // Called each time the item starts playing
+  resolve: () => void;
+  reject: (error: Error) => void;
+}
+
+const playbackQueue: PlaybackItem[] = [];
+let currentPlayback: {
+  item: PlaybackItem;
+  startedAt: number;
+  controller: AbortController;
+  preempted: boolean;
+  cancelled: boolean;
+} | null = null;
+let nextPlaybackId = 1;
+const playbackStats = { played: 0, dropped: 0, preempted: 0, cancelled: 0 };
+
+function isPriority(value: any): value is Priority {
+  return typeof value === 'string' && value in PRIORITY_RANK;
+}
+
+// Insert behind (or, with front=true, ahead of) queued clips of the same priority
+function insertByPriority(item: PlaybackItem, front = false) {
+  const rank = PRIORITY_RANK[item.priority];
+  let index = playbackQueue.findIndex(queued =>
+    front ? PRIORITY_RANK[queued.priority] <= rank : PRIORITY_RANK[queued.priority] < rank
+  );
+  if (index === -1) {
+    index = playbackQueue.length;
+  }
+  playbackQueue.splice(index, 0, item);
+}
+
+function pickDropVictim(incoming: PlaybackItem): PlaybackItem {
+  const candidates = [...playbackQueue, incoming];
+  const lowest = Math.min(...candidates.map(item => PRIORITY_RANK[item.priority]));
+  const pool = candidates
+    .filter(item => PRIORITY_RANK[item.priority] === lowest)
+    .sort((a, b) => a.id - b.id);
+  return PLAYBACK_DROP_POLICY === 'newest' ? pool[pool.length - 1] : pool[0];
+}
+
+// Queue a clip for playback; resolves once it has finished playing
+function enqueuePlayback(
+  clip: PlaybackClip,
+  priority: Priority = 'normal',
+  label = '',
+  requestId?: string,
+  onStart?: () => void
+): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const item: PlaybackItem = {
+      id: nextPlaybackId++,
+      clip,
+      priority,
+      label,
+      requestId,
+      queuedAt: Date.now(),
+      onStart,
+      resolve,
+      reject,
+    };
+
+    if (playbackQueue.length >= PLAYBACK_QUEUE_MAX) {
+      const victim = pickDropVictim(item);
+      playbackStats.dropped++;
+      logger.warn(`🗑️  Playback queue full (${PLAYBACK_QUEUE_MAX}), dropping #${victim.id} (${victim.priority})`, { request_id: victim.requestId });
+
+      releaseClip(victim.clip);
+      if (victim === item) {
+        reject(new Error('Playback queue full'));
+        return;
+      }
+
+      playbackQueue.splice(playbackQueue.indexOf(victim), 1);
+      victim.reject(new Error('Dropped from full playback queue'));
+    }
+
+    insertByPriority(item);
+
+    if (priority === 'urgent' && currentPlayback && currentPlayback.item.priority !== 'urgent') {
+      currentPlayback.preempted = true;
+      currentPlayback.controller.abort();
+    }
+
+    drainPlaybackQueue();
+  });
+}
+
+async function drainPlaybackQueue() {
+  if (currentPlayback) {
+    return;
+  }
+
+  const item = playbackQueue.shift();
+  if (!item) {
+    return;
+  }
+
+  const playback = { item, startedAt: Date.now(), controller: new AbortController(), preempted: false, cancelled: false };
+  currentPlayback = playback;
+
+  try {
+    logger.debug(`▶️  Playing #${item.id} (${item.priority})`, { request_id: item.requestId });
+    item.onStart?.();
+    if (isSpeechSequence(item.clip)) {
+      await playSequence(item.clip, playback.controller.signal, item.requestId);
+    } else {
+      await playAudio(item.clip, playback.controller.signal, item.requestId);
+    }
+    playbackStats.played++;
+    playbackDuration.observe({}, (Date.now() - playback.startedAt) / 1000);
+    logger.debug(`⏹️  Finished #${item.id}`, { ms: Date.now() - playback.startedAt, request_id: item.requestId });
+    item.resolve();
+  } catch (error: any) {
+    if (playback.preempted) {
+      playbackStats.preempted++;
+      logger.info(`⏭️  Playback #${item.id} interrupted by urgent message, requeued`, { request_id: item.requestId });
+      requeuePreempted(item);
+    } else if (playback.cancelled) {
+      releaseClip(item.clip);
+      item.reject(new Error('Playback cancelled'));
+    } else {
+      logger.error(`Playback #${item.id} failed`, { error: error.message, request_id: item.requestId });
+      releaseClip(item.clip);
+      item.reject(error);
+    }
+  } finally {
+    currentPlayback = null;
+    drainPlaybackQueue();
+  }
+}
+
+// Put an interrupted clip back at the front of its priority. A stream can
+// only be read once, so it is replayed from the downloaded clip.
+async function requeuePreempted(item: PlaybackItem) {
+  try {
+    if (isAudioStream(item.clip)) {
+      item.clip = await item.clip.complete;
+    } else if (isSpeechSequence(item.clip)) {
+      const { chunks, position } = item.clip;
+      const current = await chunks[position];
+      if (current && isAudioStream(current)) {
+        chunks[position] = current.complete;
+      }
+    }
+    insertByPriority(item, true);
+    drainPlaybackQueue();
+  } catch (error: any) {
+    item.reject(error);
+  }
+}
+
+// Cancel a queued or playing clip. A chunked message is cancelled as a
+// whole: playback stops and chunks not yet synthesized are skipped.
+function cancelPlayback(id: number): boolean {
+  let item: PlaybackItem;
+  if (currentPlayback?.item.id === id) {
+    item = currentPlayback.item;
+    currentPlayback.cancelled = true;
+    currentPlayback.controller.abort();
+  } else {
+    const index = playbackQueue.findIndex(queued => queued.id === id);
+    if (index === -1) {
+      return false;
+    }
+    [item] = playbackQueue.splice(index, 1);
+    releaseClip(item.clip);
+    item.reject(new Error('Playback cancelled'));
+  }
+
+  playbackStats.cancelled++;
+  logger.info(`🛑 Playback #${id} cancelled`, { request_id: item.requestId });
+  return true;
+}
+
+// Chunk progress for a sequence, omitted for single clips
+function describeChunks(clip: PlaybackClip) {
+  return isSpeechSequence(clip) ? { chunks: { total: clip.chunks.length, played: clip.position } } : {};
+}
+
+function getQueueStatus() {
+  return {
+    depth: playbackQueue.length,
+    max: PLAYBACK_QUEUE_MAX,
+    drop_policy: PLAYBACK_DROP_POLICY,
+    playing: currentPlayback ? {
+      id: currentPlayback.item.id,
+      label: currentPlayback.item.label,
+      priority: currentPlayback.item.priority,
+      started_at: new Date(currentPlayback.startedAt).toISOString(),
+      ...describeChunks(currentPlayback.item.clip)
+    } : null,
+    queued: playbackQueue.map(item => ({
+      id: item.id,
+      label: item.label,
+      priority: item.priority,
+      queued_at: new Date(item.queuedAt).toISOString(),
+      ...describeChunks(item.clip)
+    })),
+    stats: playbackStats
+  };
+}
+
+// Spawn a process safely
+function spawnSafe(command: string, args: string[]): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, args);
+
+    proc.on('error', (error) => {
+      logger.error(`Error spawning ${command}`, { error: error.message });
+      reject(error);
+    });
+
+    proc.on('exit', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${command} exited with code ${code}`));
+      }
+    });
+  });
+}
+
+// Run a command and collect its standard output
+function spawnOutput(command: string, args: string[]): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, args, { stdio: ['ignore', 'pipe', 'ignore'] });
+    let output = '';
+
+    proc.stdout.setEncoding('utf8');
+    proc.stdout.on('data', (data) => {
+      output += data;
+    });
+
+    proc.on('error', reject);
+
+    proc.on('exit', (code) => {
+      if (code === 0) {
+        resolve(output);
+      } else {
+        reject(new Error(`${command} exited with code ${code}`));
+      }
+    });
+  });
+}
+
+// Desktop notification backends. NOTIFIER selects one ("auto" by default
+// detects terminal-notifier, osascript, then notify-send, falling back to log).
+interface NotificationContent {
+  title: string;
+  message: string;
+  subtitle?: string;
+  url?: string;             // Opened when the notification is clicked
+  priority: Priority;
+  requestId?: string;       // Only used in log entries
+}
+
+interface Notifier {
+  name: string;
+  command: string | null;   // Executable the backend needs, if any
+  notify(content: NotificationContent): Promise<void>;
+}
+
+// AppleScript string literal: only backslash and double quote are special
+function appleScriptString(text: string): string {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// notify-send bodies are Pango markup on most notification daemons
+function escapeMarkup(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const osascriptNotifier: Notifier = {
+  name: 'osascript',
+  command: 'osascript',
+
+  async notify({ title, message, subtitle }) {
+    const subtitlePart = subtitle ? ` subtitle ${appleScriptString(subtitle)}` : '';
+    const script = `display notification ${appleScriptString(message)} with title ${appleScriptString(title)}${subtitlePart} sound name ""`;
+    await spawnSafe('osascript', ['-e', script]);
+  },
+};
+
+const terminalNotifier: Notifier = {
+  name: 'terminal-notifier',
+  command: 'terminal-notifier',
+
+  async notify({ title, message, subtitle, url }) {
+    const args = ['-title', title, '-message', message, '-group', 'pai-voice-server'];
+    if (subtitle) args.push('-subtitle', subtitle);
+    if (url) args.push('-open', url);
+    await spawnSafe('terminal-notifier', args);
+  },
+};
+
+const notifySendNotifier: Notifier = {
+  name: 'notify-send',
+  command: 'notify-send',
+
+  async notify({ title, message, subtitle, priority }) {
+    const urgency = priority === 'urgent' ? 'critical' : priority;
+    const body = escapeMarkup(subtitle ? `${subtitle}\n${message}` : message);
+    // "--" so a title or body starting with "-" (a Markdown bullet) is not
+    // taken for an option
+    await spawnSafe('notify-send', ['--app-name=PAI Voice', `--urgency=${urgency}`, '--', title, body]);
+  },
+};
+
+const logNotifier: Notifier = {
+  name: 'log',
+  command: null,
+
+  async notify({ title, message, subtitle, requestId }) {
+    logger.info('🔔 Notification', { title, subtitle, message, request_id: requestId });
+  },
+};
+
+const NOTIFIERS: Notifier[] = [terminalNotifier, osascriptNotifier, notifySendNotifier, logNotifier];
+
+function selectNotifier(): Notifier {
+  const configured = (process.env.NOTIFIER || 'auto').trim();
+
+  if (configured !== 'auto') {
+    const named = NOTIFIERS.find(notifier => notifier.name === configured);
+    if (named) {
+      return named;
+    }
+    logger.warn(`⚠️  Unknown NOTIFIER "${configured}" (known: ${NOTIFIERS.map(n => n.name).join(', ')}); detecting instead`);
+  }
+
+  return NOTIFIERS.find(notifier => !notifier.command || Bun.which(notifier.command)) || logNotifier;
+}
+
+const NOTIFIER = selectNotifier();
+
+interface NotificationResult {
+  backend: string;
+  delivered: boolean;
+  error?: string;
+}
+
+async function showNotification(content: NotificationContent): Promise<NotificationResult> {
+  try {
+    await NOTIFIER.notify(content);
+    logger.debug('🔔 Notification delivered', { backend: NOTIFIER.name, request_id: content.requestId });
+    return { backend: NOTIFIER.name, delivered: true };
+  } catch (error: any) {
+    logger.error(`Notification display error (${NOTIFIER.name})`, { error: error?.message || String(error), request_id: content.requestId });
+    return { backend: NOTIFIER.name, delivered: false, error: error?.message || String(error) };
+  }
+}
+
+interface NotificationOptions {
+  voiceEnabled?: boolean;
+  voice?: VoiceSelection | null;
+  priority?: Priority;
+  url?: string;
+  requestId?: string;
+  client?: string;          // Usage is counted against this client
+  // Progress of the spoken part, for async jobs and batches
+  onStatus?: (status: 'synthesizing' | 'queued' | 'playing') => void;
+  // Batches: wait for the previous item to be queued (and shown), and
+  // synthesize through one limiter shared by all items
+  queueAfter?: Promise<void>;
+  notifyAfter?: Promise<unknown>;
+  synthesisLimiter?: Limiter;
+}
+
+// What happened to the spoken part of a notification
+interface SpeechOutcome {
+  status: 'played' | 'silent' | 'disabled' | 'failed' | 'cancelled'; // silent: the chain fell through to "none"
+  provider: string | null;
+  synthesisMs?: number;
+  playbackMs?: number;
+  error?: string;
+}
+
+interface DeliveryResult {
+  speech: SpeechOutcome;
+  notification: NotificationResult;
+}
+
+// Send desktop notification with voice
+async function sendNotification(
+  title: string,
+  message: string,
+  options: NotificationOptions = {}
+): Promise<DeliveryResult> {
+  const { voiceEnabled = true, voice = null, priority = 'normal', url, requestId, client, onStatus, queueAfter, notifyAfter, synthesisLimiter } = options;
+
+  // Validate inputs
+  const titleValidation = validateInput(title);
+  const messageValidation = validateInput(message, MAX_MESSAGE_LENGTH);
+
+  if (!titleValidation.valid) {
+    throw new Error(`Invalid title: ${titleValidation.error}`);
+  }
+
+  if (!messageValidation.valid) {
+    throw new Error(`Invalid message: ${messageValidation.error}`);
+  }
+
+  const spokenMessage = normalizeForSpeech(message);
+  const selection = voice || resolveVoice(null);
+
+  // Generate and play voice using the provider chain
+  const speech: SpeechOutcome = { status: 'disabled', provider: null };
+  if (voiceEnabled && !spokenMessage) {
+    // Nothing left to say (e.g. a message that was only emoji or code)
+    speech.status = 'silent';
+  } else if (voiceEnabled) {
+    const startedAt = Date.now();
+    onStatus?.('synthesizing');
+    try {
+      logger.info('🎙️  Generating speech', { voice: selection.persona || selection.voiceId, request_id: requestId });
+
+      // Stream players expect MP3, so pcm_* output is always downloaded first
+      const useStream = STREAMING_ENABLED && !!STREAM_PLAYER && selection.settings.output_format.startsWith('mp3');
+      const audio = await prepareSpeech(spokenMessage, selection, useStream, requestId, client, synthesisLimiter);
+      speech.synthesisMs = Date.now() - startedAt;
+      speech.provider = audio?.provider || null;
+      speech.status = 'silent';
+      if (audio) {
+        await queueAfter;
+        const queuedAt = Date.now();
+        // Before enqueueing: an idle queue starts playing at once
+        onStatus?.('queued');
+        await enqueuePlayback(audio, priority, truncateText(spokenMessage, 80), requestId, () => onStatus?.('playing'));
+        speech.playbackMs = Date.now() - queuedAt;
+        speech.status = 'played';
+      }
+    } catch (error: any) {
+      speech.error = error?.message || String(error);
+      if (speech.error === 'Playback cancelled') {
+        speech.status = 'cancelled';
+      } else {
+        speech.status = 'failed';
+        logger.error('Failed to generate/play speech', { error: speech.error, request_id: requestId });
+      }
+    }
+  }
+
+  // Display desktop notification
+  await notifyAfter;
+  const notification = await showNotification({
+    title: cleanDisplayText(title),
+    message: cleanDisplayText(message),
+    subtitle: selection.description ? cleanDisplayText(selection.description) : undefined,
+    url,
+    priority,
+    requestId,
+  });
+
+  return { speech, notification };
+}
+
+// POST /notify/batch: every item is validated before any is sent, then all
+// are synthesized, SPEECH_CONCURRENCY requests at a time across the batch,
+// and queued in order. Each item settles on its own, so one failing does not
+// hold up the rest.
+const NOTIFY_BATCH_MAX = parseInt(process.env.NOTIFY_BATCH_MAX || "10");
+
+function sendBatch(requests: NotifyRequest[], requestId?: string, client?: string): Promise<PromiseSettledResult<DeliveryResult>[]> {
+  let previousQueued: Promise<void> = Promise.resolve();
+  let previousShown: Promise<unknown> = Promise.resolve();
+  const synthesisLimiter = createLimiter(SPEECH_CONCURRENCY);
+
+  return Promise.allSettled(requests.map(request => {
+    const queueAfter = previousQueued;
+    const queued = Promise.withResolvers<void>();
+    previousQueued = queued.promise;
+
+    const { title, message, voiceEnabled, voice, priority, url } = request;
+    const delivery = sendNotification(title, message, {
+      voiceEnabled, voice, priority, url, requestId, client,
+      queueAfter,
+      synthesisLimiter,
+      notifyAfter: previousShown,
+      onStatus: status => {
+        if (status === 'queued') queued.resolve();
+      },
+    })
+      // An item that never reached the queue (silent, failed) still hands on its turn in order
+      .finally(() => queueAfter.then(queued.resolve));
+    previousShown = delivery.catch(() => {});
+    return delivery;
+  }));
+}
+
+// Asynchronous /notify ("async": true or Prefer: respond-async): the request
+// is answered with 202 and a job ID at once, and GET /jobs/:id follows the
+// job. Jobs live in memory until JOB_RETENTION_MINUTES after they finish.
+const JOB_RETENTION = parseFloat(process.env.JOB_RETENTION_MINUTES || "60") * 60 * 1000;
+const JOBS_MAX = 1000;
+
+type JobStatus = 'queued' | 'synthesizing' | 'playing' | 'done' | 'failed';
+
+interface Job {
+  id: string;
+  status: JobStatus;
+  persona: string | null;
+  createdAt: number;
+  synthesisStartedAt?: number;
+  playbackStartedAt?: number;
+  finishedAt?: number;
+  delivery?: DeliveryResult;
+  error?: string;
+}
+
+const jobs = new Map<string, Job>();
+
+// Drop expired jobs, then the oldest finished ones beyond JOBS_MAX
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_RETENTION;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && (job.finishedAt < cutoff || jobs.size > JOBS_MAX)) {
+      jobs.delete(id);
+    }
+  }
+}
+
+// Deliver a notification in the background, tracking it as a job.
+// `onFinish` records the outcome, as the synchronous path does.
+function startJob(
+  title: string,
+  message: string,
+  options: NotificationOptions,
+  onFinish: (delivery?: DeliveryResult, error?: string) => void
+): Job {
+  pruneJobs();
+  const job: Job = { id: randomUUID(), status: 'queued', persona: options.voice?.persona || null, createdAt: Date.now() };
+  jobs.set(job.id, job);
+
+  const onStatus = (status: 'synthesizing' | 'queued' | 'playing') => {
+    job.status = status;
+    if (status === 'synthesizing') job.synthesisStartedAt = Date.now();
+    if (status === 'playing') job.playbackStartedAt ??= Date.now();
+  };
+
+  sendNotification(title, message, { ...options, onStatus }).then(
+    delivery => {
+      job.delivery = delivery;
+      job.status = delivery.speech.status === 'failed' ? 'failed' : 'done';
+      job.error = delivery.speech.error;
+      job.finishedAt = Date.now();
+      onFinish(delivery);
+    },
+    (error: any) => {
+      job.status = 'failed';
+      job.error = error?.message || String(error);
+      job.finishedAt = Date.now();
+      logger.error('Notification error', { error: job.error, job_id: job.id, request_id: options.requestId });
+      onFinish(undefined, job.error);
+    }
+  );
+
+  return job;
+}
+
+function describeJob(job: Job) {
+  const iso = (time?: number) => time ? new Date(time).toISOString() : null;
+  const speech = job.delivery?.speech;
+  return {
+    id: job.id,
+    status: job.status,
+    persona: job.persona,
+    created_at: iso(job.createdAt),
+    synthesis_started_at: iso(job.synthesisStartedAt),
+    playback_started_at: iso(job.playbackStartedAt),
+    finished_at: iso(job.finishedAt),
+    timings: {
+      synthesis_ms: speech?.synthesisMs ?? null,
+      playback_ms: speech?.playbackMs ?? null,
+      total_ms: job.finishedAt ? job.finishedAt - job.createdAt : null,
+    },
+    speech: speech ? { status: speech.status, provider: speech.provider } : null,
+    notification: job.delivery?.notification ?? null,
+    error: job.error ?? null,
+  };
+}
+
+// Notification history: every /notify and /pai call is recorded in SQLite.
+// Entries older than HISTORY_RETENTION_DAYS, or beyond the newest
+// HISTORY_MAX_ENTRIES, are deleted at startup and then hourly.
+const HISTORY_ENABLED = process.env.HISTORY !== 'false';
+const HISTORY_DB_PATH = process.env.HISTORY_DB || join(import.meta.dir, 'history.db');
+const HISTORY_RETENTION_MS = parseFloat(process.env.HISTORY_RETENTION_DAYS || "30") * 24 * 60 * 60 * 1000;
+const HISTORY_MAX_ENTRIES = parseInt(process.env.HISTORY_MAX_ENTRIES || "10000");
+const HISTORY_PRUNE_INTERVAL = 60 * 60 * 1000;
+
+function openHistory(): Database | null {
+  if (!HISTORY_ENABLED) return null;
+
+  try {
+    const db = new Database(HISTORY_DB_PATH, { create: true, strict: true });
+    db.run('PRAGMA journal_mode = WAL');
+    db.run(`CREATE TABLE IF NOT EXISTS notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      request_id TEXT,
+      route TEXT NOT NULL,
+      title TEXT NOT NULL,
+      message TEXT NOT NULL,
+      voice TEXT,
+      voice_id TEXT,
+      settings TEXT,
+      source_ip TEXT,
+      received_at INTEGER NOT NULL,
+      duration_ms INTEGER,
+      speech_status TEXT,
+      speech_provider TEXT,
+      synthesis_ms INTEGER,
+      playback_ms INTEGER,
+      speech_error TEXT,
+      notifier TEXT,
+      delivered INTEGER,
+      notification_error TEXT,
+      error TEXT
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS notifications_received_at ON notifications (received_at)');
+
+    // Databases created before speech settings were recorded lack the column
+    const columns = db.query('PRAGMA table_info(notifications)').all() as { name: string }[];
+    if (!columns.some(column => column.name === 'settings')) {
+      db.run('ALTER TABLE notifications ADD COLUMN settings TEXT');
+    }
+    return db;
+  } catch (error: any) {
+    logger.error(`⚠️  Notification history unavailable (${HISTORY_DB_PATH})`, { error: error.message });
+    return null;
+  }
+}
+
+const historyDb = openHistory();
+
+interface HistoryRecord {
+  requestId: string;
+  route: string;
+  title: string;
+  message: string;
+  voice: VoiceSelection | null;
+  sourceIp: string | null;
+  receivedAt: number;
+  delivery?: DeliveryResult;
+  error?: string;             // The request failed before delivery
+}
+
+function recordHistory(record: HistoryRecord) {
+  if (!historyDb) return;
+
+  const { delivery, voice } = record;
+  try {
+    historyDb.query(`INSERT INTO notifications (
+      request_id, route, title, message, voice, voice_id, settings, source_ip, received_at, duration_ms,
+      speech_status, speech_provider, synthesis_ms, playback_ms, speech_error,
+      notifier, delivered, notification_error, error
+    ) VALUES (
+      $request_id, $route, $title, $message, $voice, $voice_id, $settings, $source_ip, $received_at, $duration_ms,
+      $speech_status, $speech_provider, $synthesis_ms, $playback_ms, $speech_error,
+      $notifier, $delivered, $notification_error, $error
+    )`).run({
+      request_id: record.requestId,
+      route: record.route,
+      title: record.title,
+      message: record.message,
+      voice: voice ? voice.persona || voice.voiceId : null,
+      voice_id: voice?.voiceId ?? null,
+      settings: voice ? JSON.stringify(voice.settings) : null,
+      source_ip: record.sourceIp,
+      received_at: record.receivedAt,
+      duration_ms: Date.now() - record.receivedAt,
+      speech_status: delivery?.speech.status ?? null,
+      speech_provider: delivery?.speech.provider ?? null,
+      synthesis_ms: delivery?.speech.synthesisMs ?? null,
+      playback_ms: delivery?.speech.playbackMs ?? null,
+      speech_error: delivery?.speech.error ?? null,
+      notifier: delivery?.notification.backend ?? null,
+      delivered: delivery ? (delivery.notification.delivered ? 1 : 0) : null,
+      notification_error: delivery?.notification.error ?? null,
+      error: record.error ?? null,
+    });
+  } catch (error: any) {
+    logger.error('⚠️  Failed to record notification history', { error: error.message, request_id: record.requestId });
+  }
+}
+
+function pruneHistory() {
+  if (!historyDb) return;
+
+  try {
+    const expired = historyDb.query('DELETE FROM notifications WHERE received_at < $cutoff')
+      .run({ cutoff: Date.now() - HISTORY_RETENTION_MS }).changes;
+    const overflow = historyDb.query(
+      'DELETE FROM notifications WHERE id NOT IN (SELECT id FROM notifications ORDER BY id DESC LIMIT $max)'
+    ).run({ max: HISTORY_MAX_ENTRIES }).changes;
+    if (expired + overflow > 0) {
+      logger.info(`🧹 Pruned ${expired + overflow} history entries`);
+    }
+  } catch (error: any) {
+    logger.error('⚠️  Failed to prune notification history', { error: error.message });
+  }
+}
+
+pruneHistory();
+setInterval(pruneHistory, HISTORY_PRUNE_INTERVAL);
+
+// Time bounds accept ISO 8601 dates or epoch milliseconds
+function parseHistoryTime(value: string | null, name: string): number | null {
+  if (value === null || value === '') return null;
+  const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid ${name} (expected an ISO 8601 date or epoch milliseconds)`);
+  }
+  return time;
+}
+
+// Query history newest first. Filters: since/until, voice (persona or voice ID),
+// q (case-insensitive substring of title or message), limit and offset.
+function queryHistory(params: URLSearchParams) {
+  if (!historyDb) {
+    throw new Error('Notification history is disabled');
+  }
+
+  const since = parseHistoryTime(params.get('since'), 'since');
+  const until = parseHistoryTime(params.get('until'), 'until');
+  const limit = parseInt(params.get('limit') || '50');
+  const offset = parseInt(params.get('offset') || '0');
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    throw new Error('Invalid limit (expected 1-500)');
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('Invalid offset');
+  }
+
+  const conditions: string[] = [];
+  const bindings: Record<string, string | number> = {};
+  if (since !== null) {
+    conditions.push('received_at >= $since');
+    bindings.since = since;
+  }
+  if (until !== null) {
+    conditions.push('received_at <= $until');
+    bindings.until = until;
+  }
+  const voice = params.get('voice');
+  if (voice) {
+    conditions.push('(voice = $voice OR voice_id = $voice)');
+    bindings.voice = voice;
+  }
+  const search = params.get('q');
+  if (search) {
+    conditions.push("(title LIKE $q ESCAPE '\\' OR message LIKE $q ESCAPE '\\')");
+    bindings.q = `%${search.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const total = (historyDb.query(`SELECT COUNT(*) AS total FROM notifications ${where}`).get(bindings) as { total: number }).total;
+  const rows = historyDb.query(`SELECT * FROM notifications ${where} ORDER BY id DESC LIMIT $limit OFFSET $offset`)
+    .all({ ...bindings, limit, offset }) as any[];
+
+  return {
+    total,
+    limit,
+    offset,
+    entries: rows.map(row => ({
+      id: row.id,
+      request_id: row.request_id,
+      route: row.route,
+      title: row.title,
+      message: row.message,
+      voice: row.voice,
+      voice_id: row.voice_id,
+      settings: row.settings === null ? null : JSON.parse(row.settings),
+      source_ip: row.source_ip,
+      received_at: new Date(row.received_at).toISOString(),
+      duration_ms: row.duration_ms,
+      speech: row.speech_status === null ? null : {
+        status: row.speech_status,
+        provider: row.speech_provider,
+        synthesis_ms: row.synthesis_ms,
+        playback_ms: row.playback_ms,
+        error: row.speech_error,
+      },
+      notification: row.notifier === null ? null : {
+        backend: row.notifier,
+        delivered: row.delivered === 1,
+        error: row.notification_error,
+      },
+      error: row.error,
+    })),
+  };
+}
+
+// Re-speak a history entry (the latest successful one when id is null).
+// generateSpeech() serves the clip from the audio cache when it is still
+// there, so replaying recent messages makes no provider call.
+async function replayNotification(id: number | null, priority: Priority, requestId: string, client?: string) {
+  if (!historyDb) {
+    throw new Error('Notification history is disabled');
+  }
+
+  const entry = (id === null
+    ? historyDb.query('SELECT * FROM notifications WHERE error IS NULL ORDER BY id DESC LIMIT 1').get()
+    : historyDb.query('SELECT * FROM notifications WHERE id = $id').get({ id })) as any;
+  if (!entry) {
+    throw new Error(id === null ? 'Last notification not found in history' : `History entry ${id} not found`);
+  }
+  if (entry.error !== null) {
+    throw new Error(`Invalid id: history entry ${id} is a failed request (${entry.error})`);
+  }
+
+  // Personas are stored by name; fall back to the raw voice ID if one was removed since.
+  // The recorded speech settings win over the persona's current ones, so the
+  // replay sounds the same and hits the audio cache.
+  const persona = entry.voice !== entry.voice_id ? entry.voice : null;
+  const settings = entry.settings === null ? {} : JSON.parse(entry.settings);
+  let voice: VoiceSelection;
+  try {
+    voice = resolveVoice(persona, entry.voice_id, settings);
+  } catch {
+    voice = resolveVoice(null, entry.voice_id, settings);
+  }
+
+  logger.info(`🔁 Replaying history entry #${entry.id}`, { request_id: requestId });
+
+  const spokenMessage = normalizeForSpeech(entry.message as string);
+  const audio = spokenMessage ? await prepareSpeech(spokenMessage, voice, false, requestId, client) : null;
+  if (audio) {
+    await enqueuePlayback(audio, priority, `replay #${entry.id}`, requestId);
+  }
+
+  return {
+    id: entry.id as number,
+    title: entry.title as string,
+    message: entry.message as string,
+    spoken: !!audio,
+    provider: audio?.provider || null,
+    cached: !!audio && !isAudioStream(audio) && !isSpeechSequence(audio) && !!audio.cached
+  };
+}
+
+function getHistoryStatus() {
+  if (!historyDb) {
+    return { enabled: false };
+  }
+  const { entries } = historyDb.query('SELECT COUNT(*) AS entries FROM notifications').get() as { entries: number };
+  return {
+    enabled: true,
+    entries,
+    retention_days: HISTORY_RETENTION_MS / (24 * 60 * 60 * 1000),
+    max_entries: HISTORY_MAX_ENTRIES
+  };
+}
+
+// Character usage: characters sent to billed providers (ElevenLabs), per day,
+// voice and client, kept in SQLite across restarts. Optional daily and
+// monthly budgets cap them; once one is spent, billed providers are skipped
+// and the next provider in the chain speaks (USAGE_BUDGET_ACTION=fallback),
+// or speech is dropped and only the notification shown (notify-only).
+// Days and months are in server local time.
+const USAGE_ENABLED = process.env.USAGE !== 'false';
+const USAGE_DB_PATH = process.env.USAGE_DB || join(import.meta.dir, 'usage.db');
+const USAGE_DAILY_BUDGET = parseInt(process.env.USAGE_DAILY_BUDGET || "0");
+const USAGE_MONTHLY_BUDGET = parseInt(process.env.USAGE_MONTHLY_BUDGET || "0");
+const USAGE_BUDGET_ACTION: 'fallback' | 'notify-only' =
+  process.env.USAGE_BUDGET_ACTION === 'notify-only' ? 'notify-only' : 'fallback';
+
+function openUsage(): Database | null {
+  if (!USAGE_ENABLED) return null;
+
+  try {
+    const db = new Database(USAGE_DB_PATH, { create: true, strict: true });
+    db.run('PRAGMA journal_mode = WAL');
+    db.run(`CREATE TABLE IF NOT EXISTS usage (
+      day TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      voice TEXT NOT NULL,
+      client TEXT NOT NULL,
+      characters INTEGER NOT NULL,
+      requests INTEGER NOT NULL,
+      PRIMARY KEY (day, provider, voice, client)
+    )`);
+    return db;
+  } catch (error: any) {
+    logger.error(`⚠️  Character usage tracking unavailable (${USAGE_DB_PATH})`, { error: error.message });
+    return null;
+  }
+}
+
+const usageDb = openUsage();
+
+// YYYY-MM-DD in server local time
+function localDay(time = new Date()): string {
+  const pad = (value: number) => String(value).padStart(2, '0');
+  return `${time.getFullYear()}-${pad(time.getMonth() + 1)}-${pad(time.getDate())}`;
+}
+
+function recordUsage(provider: string, voice: VoiceSelection, client: string | undefined, characters: number) {
+  if (!usageDb) return;
+
+  try {
+    usageDb.query(`INSERT INTO usage (day, provider, voice, client, characters, requests)
+      VALUES ($day, $provider, $voice, $client, $characters, 1)
+      ON CONFLICT (day, provider, voice, client)
+      DO UPDATE SET characters = characters + excluded.characters, requests = requests + 1`).run({
+      day: localDay(),
+      provider,
+      voice: voice.persona || voice.voiceId,
+      client: client || 'unknown',
+      characters,
+    });
+  } catch (error: any) {
+    logger.error('⚠️  Failed to record character usage', { error: error.message });
+  }
+}
+
+// Characters used today and this month
+function getUsageTotals(): { today: number; month: number } {
+  const today = localDay();
+  return usageDb!.query(`SELECT
+      COALESCE(SUM(CASE WHEN day = $today THEN characters END), 0) AS today,
+      COALESCE(SUM(characters), 0) AS month
+    FROM usage WHERE day >= $month_start`).get({ today, month_start: `${today.slice(0, 7)}-01` }) as { today: number; month: number };
+}
+
+// The budget that `characters` more would overrun, if any
+function exceededBudget(characters: number): 'daily' | 'monthly' | null {
+  if (!usageDb || (!USAGE_DAILY_BUDGET && !USAGE_MONTHLY_BUDGET)) return null;
+
+  const totals = getUsageTotals();
+  if (USAGE_DAILY_BUDGET && totals.today + characters > USAGE_DAILY_BUDGET) return 'daily';
+  if (USAGE_MONTHLY_BUDGET && totals.month + characters > USAGE_MONTHLY_BUDGET) return 'monthly';
+  return null;
+}
+
+// Logged once per budget period rather than on every skipped request
+let budgetWarning = '';
+
+function budgetAllows(characters: number): boolean {
+  const exceeded = exceededBudget(characters);
+  if (exceeded) {
+    const period = exceeded === 'daily' ? localDay() : localDay().slice(0, 7);
+    if (budgetWarning !== `${exceeded} ${period}`) {
+      budgetWarning = `${exceeded} ${period}`;
+      logger.warn(`💸 ${exceeded === 'daily' ? 'Daily' : 'Monthly'} character budget exhausted, ${
+        USAGE_BUDGET_ACTION === 'notify-only' ? 'showing notifications only' : 'falling back to the next provider'}`);
+    }
+  }
+  return !exceeded;
+}
+
+function budgetStatus(used: number, budget: number) {
+  return {
+    characters: used,
+    budget: budget || null,
+    remaining: budget ? Math.max(0, budget - used) : null,
+  };
+}
+
+// GET /usage: today's and this month's totals against the budgets, plus the
+// last `days` days (1-366, default 30) by day, voice and client
+function getUsage(params: URLSearchParams) {
+  if (!usageDb) {
+    throw new Error('Character usage tracking is disabled');
+  }
+
+  const days = parseInt(params.get('days') || '30');
+  if (!Number.isInteger(days) || days < 1 || days > 366) {
+    throw new Error('Invalid days (expected 1-366)');
+  }
+
+  const since = new Date();
+  since.setDate(since.getDate() - days + 1);
+  const range = { since: localDay(since) };
+  const groupBy = (column: string) => usageDb.query(
+    `SELECT ${column}, SUM(characters) AS characters, SUM(requests) AS requests
+     FROM usage WHERE day >= $since GROUP BY ${column} ORDER BY characters DESC`
+  ).all(range);
+
+  const totals = getUsageTotals();
+  const today = budgetStatus(totals.today, USAGE_DAILY_BUDGET);
+  const month = budgetStatus(totals.month, USAGE_MONTHLY_BUDGET);
+
+  return {
+    today: { date: localDay(), ...today },
+    month: { month: localDay().slice(0, 7), ...month },
+    exhausted: today.remaining === 0 || month.remaining === 0,
+    budget_action: USAGE_BUDGET_ACTION,
+    days: usageDb.query(
+      `SELECT day AS date, SUM(characters) AS characters, SUM(requests) AS requests
+       FROM usage WHERE day >= $since GROUP BY day ORDER BY day DESC`
+    ).all(range),
+    voices: groupBy('voice'),
+    clients: groupBy('client'),
+  };
 }
 
-// Default voice ID (Pai's voice)
-const DEFAULT_VOICE_ID = process.env.ELEVENLABS_VOICE_ID || "s3TPKV1kjDlVtZbl4Ksh";
+// Rate limiting: one token bucket per client and route. Clients are the
+// socket address, or "token" for authenticated requests. Limits are
+// "<requests>/<seconds>": RATE_LIMIT is the default, RATE_LIMIT_ROUTES
+// (e.g. "/notify=10/60,/health=60/60") gives routes their own buckets, and
+// RATE_LIMIT_CLIENTS (e.g. "token=60/60,127.0.0.1=20/60") overrides a client.
+// Routes are matched by their metric label (e.g. "/jobs/:id"); those without
+// their own limit share one "*" bucket per client.
+interface RateLimit {
+  capacity: number;
+  windowMs: number;
+}
 
-// Sanitize input for shell commands
-function sanitizeForShell(input: string): string {
-  return input.replace(/[^a-zA-Z0-9\s.,!?\-']/g, '').trim().substring(0, 500);
+interface Bucket {
+  tokens: number;
+  updatedAt: number;
+  limit: RateLimit;
 }
 
-// Validate and sanitize user input
-function validateInput(input: any): { valid: boolean; error?: string } {
-  if (!input || typeof input !== 'string') {
-    return { valid: false, error: 'Invalid input type' };
+function parseRateLimit(spec: string, source: string): RateLimit | null {
+  const match = spec.trim().match(/^(\d+)\s*\/\s*(\d+(?:\.\d+)?)$/);
+  if (!match || parseInt(match[1]) < 1 || parseFloat(match[2]) <= 0) {
+    logger.warn(`⚠️  Invalid rate limit "${spec}" in ${source} (expected <requests>/<seconds>)`);
+    return null;
   }
+  return { capacity: parseInt(match[1]), windowMs: parseFloat(match[2]) * 1000 };
+}
 
-  if (input.length > 500) {
-    return { valid: false, error: 'Message too long (max 500 characters)' };
+function parseRateLimitMap(value: string | undefined, source: string): Map<string, RateLimit> {
+  const limits = new Map<string, RateLimit>();
+  for (const entry of (value || '').split(',')) {
+    if (!entry.trim()) continue;
+    const separator = entry.lastIndexOf('=');
+    const limit = separator > 0 ? parseRateLimit(entry.slice(separator + 1), source) : null;
+    if (separator <= 0) {
+      logger.warn(`⚠️  Invalid entry "${entry.trim()}" in ${source} (expected <name>=<requests>/<seconds>)`);
+    }
+    if (limit) limits.set(entry.slice(0, separator).trim(), limit);
   }
+  return limits;
+}
 
-  const dangerousPatterns = [
-    /[;&|><`\$\(\)\{\}\[\]\\]/,
-    /\.\.\//,
-    /<script/i,
-  ];
+const DEFAULT_RATE_LIMIT = parseRateLimit(process.env.RATE_LIMIT || '10/60', 'RATE_LIMIT') || { capacity: 10, windowMs: 60000 };
+// Scrapes and status polling get their own buckets so monitoring and waiting
+// on a job do not eat the notification budget
+const ROUTE_RATE_LIMITS = new Map([
+  ['/metrics', { capacity: 60, windowMs: 60000 }],
+  ['/queue', { capacity: 120, windowMs: 60000 }],
+  ['/jobs/:id', { capacity: 120, windowMs: 60000 }],
+  ...parseRateLimitMap(process.env.RATE_LIMIT_ROUTES, 'RATE_LIMIT_ROUTES'),
+]);
+const CLIENT_RATE_LIMITS = parseRateLimitMap(process.env.RATE_LIMIT_CLIENTS, 'RATE_LIMIT_CLIENTS');
+// Idle buckets are refilled to capacity, so dropping them changes nothing
+const RATE_LIMIT_SWEEP_INTERVAL = 60 * 1000;
 
-  for (const pattern of dangerousPatterns) {
-    if (pattern.test(input)) {
-      return { valid: false, error: 'Invalid characters in input' };
-    }
-  }
+const rateLimitBuckets = new Map<string, Bucket>();
 
-  return { valid: true };
+interface RateLimitResult {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  retryAfter: number; // seconds until the next request is allowed
+  reset: number; // seconds until the bucket is full again
 }
 
-// Generate speech using ElevenLabs API
-async function generateSpeech(text: string, voiceId: string): Promise<ArrayBuffer> {
-  if (!ELEVENLABS_API_KEY) {
-    throw new Error('ElevenLabs API key not configured');
-  }
-
-  const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`;
+function refillBucket(bucket: Bucket, now: number) {
+  const { capacity, windowMs } = bucket.limit;
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * capacity / windowMs);
+  bucket.updatedAt = now;
+}
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Accept': 'audio/mpeg',
-      'Content-Type': 'application/json',
-      'xi-api-key': ELEVENLABS_API_KEY,
-    },
-    body: JSON.stringify({
-      text: text,
-      model_id: 'eleven_turbo_v2_5',
-      voice_settings: {
-        stability: 0.5,
-        similarity_boost: 0.5,
-      },
-    }),
-  });
+function checkRateLimit(client: string, pathname: string): RateLimitResult {
+  const now = Date.now();
+  const route = routeLabel(pathname);
+  const bucketRoute = ROUTE_RATE_LIMITS.has(route) ? route : '*';
+  const limit = CLIENT_RATE_LIMITS.get(client) || ROUTE_RATE_LIMITS.get(bucketRoute) || DEFAULT_RATE_LIMIT;
+  const key = `${client} ${bucketRoute}`;
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`ElevenLabs API error: ${response.status} - ${errorText}`);
+  let bucket = rateLimitBuckets.get(key);
+  if (!bucket) {
+    bucket = { tokens: limit.capacity, updatedAt: now, limit };
+    rateLimitBuckets.set(key, bucket);
+  } else {
+    refillBucket(bucket, now);
   }
 
-  return await response.arrayBuffer();
+  const allowed = bucket.tokens >= 1;
+  if (allowed) bucket.tokens -= 1;
+
+  const msPerToken = limit.windowMs / limit.capacity;
+  return {
+    allowed,
+    limit: limit.capacity,
+    remaining: Math.floor(bucket.tokens),
+    retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) * msPerToken / 1000),
+    reset: Math.ceil((limit.capacity - bucket.tokens) * msPerToken / 1000)
+  };
 }
 
-// Play audio using afplay (macOS)
-async function playAudio(audioBuffer: ArrayBuffer): Promise<void> {
-  const tempFile = `/tmp/voice-${Date.now()}.mp3`;
+function sweepRateLimitBuckets() {
+  const now = Date.now();
+  for (const [key, bucket] of rateLimitBuckets) {
+    refillBucket(bucket, now);
+    if (bucket.tokens >= bucket.limit.capacity) rateLimitBuckets.delete(key);
+  }
+}
 
-  // Write audio to temp file
-  await Bun.write(tempFile, audioBuffer);
+setInterval(sweepRateLimitBuckets, RATE_LIMIT_SWEEP_INTERVAL);
 
-  return new Promise((resolve, reject) => {
-    const proc = spawn('/usr/bin/afplay', [tempFile]);
+// API authentication. When the token file written by `pai-voice-server install`
+// exists, every route except /health requires either
+//   Authorization: Bearer <token>
+// or an HMAC-SHA256 of "<timestamp>.<body>" keyed with the token:
+//   X-PAI-Timestamp: <unix seconds>
+//   X-PAI-Signature: sha256=<hex>
+// Signatures outside AUTH_MAX_SKEW_SECONDS, or already seen, are rejected.
+const AUTH_TOKEN_FILE = process.env.AUTH_TOKEN_FILE || join(import.meta.dir, 'auth-token');
+const AUTH_MAX_SKEW_MS = parseInt(process.env.AUTH_MAX_SKEW_SECONDS || "300") * 1000;
 
-    proc.on('error', (error) => {
-      console.error('Error playing audio:', error);
-      reject(error);
-    });
+function loadAuthToken(): string | null {
+  if (!existsSync(AUTH_TOKEN_FILE)) return null;
 
-    proc.on('exit', (code) => {
-      // Clean up temp file
-      spawn('/bin/rm', [tempFile]);
+  if (statSync(AUTH_TOKEN_FILE).mode & 0o077) {
+    logger.warn(`⚠️  ${AUTH_TOKEN_FILE} is accessible by other users (run: chmod 600 ${AUTH_TOKEN_FILE})`);
+  }
 
-      if (code === 0) {
-        resolve();
-      } else {
-        reject(new Error(`afplay exited with code ${code}`));
-      }
-    });
-  });
+  return readFileSync(AUTH_TOKEN_FILE, 'utf8').trim() || null;
 }
 
-// Spawn a process safely
-function spawnSafe(command: string, args: string[]): Promise<void> {
-  return new Promise((resolve, reject) => {
-    const proc = spawn(command, args);
+const AUTH_TOKEN = loadAuthToken();
 
-    proc.on('error', (error) => {
-      console.error(`Error spawning ${command}:`, error);
-      reject(error);
-    });
+// Accepted signatures until their timestamp leaves the window
+const seenSignatures = new Map<string, number>();
 
-    proc.on('exit', (code) => {
-      if (code === 0) {
-        resolve();
-      } else {
-        reject(new Error(`${command} exited with code ${code}`));
-      }
-    });
-  });
+interface AuthResult {
+  ok: boolean;
+  method?: 'bearer' | 'hmac';
+  error?: string;
 }
 
-// Send macOS notification with voice
-async function sendNotification(
-  title: string,
-  message: string,
-  voiceEnabled = true,
-  voiceId: string | null = null
-) {
-  // Validate inputs
-  const titleValidation = validateInput(title);
-  const messageValidation = validateInput(message);
+function safeEqual(a: string, b: string): boolean {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
 
-  if (!titleValidation.valid) {
-    throw new Error(`Invalid title: ${titleValidation.error}`);
+function pruneSeenSignatures(now: number) {
+  for (const [signature, expiresAt] of seenSignatures) {
+    if (expiresAt < now) seenSignatures.delete(signature);
   }
+}
 
-  if (!messageValidation.valid) {
-    throw new Error(`Invalid message: ${messageValidation.error}`);
+async function authenticate(req: Request): Promise<AuthResult> {
+  if (!AUTH_TOKEN) return { ok: true };
+
+  const authorization = req.headers.get('authorization');
+  if (authorization?.startsWith('Bearer ')) {
+    return safeEqual(authorization.slice(7).trim(), AUTH_TOKEN)
+      ? { ok: true, method: 'bearer' }
+      : { ok: false, error: 'Invalid token' };
   }
 
-  // Sanitize inputs
-  const safeTitle = sanitizeForShell(title);
-  const safeMessage = sanitizeForShell(message);
+  const signature = req.headers.get('x-pai-signature');
+  const timestamp = req.headers.get('x-pai-timestamp');
+  if (signature && timestamp) {
+    const now = Date.now();
+    const sentAt = parseInt(timestamp) * 1000;
+    if (!Number.isFinite(sentAt) || Math.abs(now - sentAt) > AUTH_MAX_SKEW_MS) {
+      return { ok: false, error: 'Signature timestamp expired or invalid' };
+    }
 
-  // Generate and play voice using ElevenLabs
-  if (voiceEnabled && ELEVENLABS_API_KEY) {
-    try {
-      const voice = voiceId || DEFAULT_VOICE_ID;
-      console.log(`🎙️  Generating speech with ElevenLabs (voice: ${voice})`);
+    // Read a copy so the route handler can still consume the body
+    const body = await req.clone().text();
+    const expected = 'sha256=' + createHmac('sha256', AUTH_TOKEN).update(`${timestamp}.${body}`).digest('hex');
+    if (!safeEqual(signature, expected)) {
+      return { ok: false, error: 'Invalid signature' };
+    }
 
-      const audioBuffer = await generateSpeech(safeMessage, voice);
-      await playAudio(audioBuffer);
-    } catch (error) {
-      console.error("Failed to generate/play speech:", error);
+    pruneSeenSignatures(now);
+    if (seenSignatures.has(signature)) {
+      return { ok: false, error: 'Signature already used' };
     }
+    seenSignatures.set(signature, sentAt + AUTH_MAX_SKEW_MS);
+
+    return { ok: true, method: 'hmac' };
   }
 
-  // Display macOS notification
-  try {
-    const script = `display notification "${safeMessage}" with title "${safeTitle}" sound name ""`;
-    await spawnSafe('/usr/bin/osascript', ['-e', script]);
-  } catch (error) {
-    console.error("Notification display error:", error);
+  return { ok: false, error: 'Authentication required' };
+}
+
+// Known routes are metric labels as-is; anything else is "other" to keep
+// the number of series bounded
+const METRIC_ROUTES = new Set(['/notify', '/notify/batch', '/pai', '/speak', '/history', '/usage', '/replay', '/queue', '/voices', '/health', '/metrics']);
+
+function routeLabel(pathname: string): string {
+  if (/^\/queue\/\d+$/.test(pathname)) return '/queue/:id';
+  if (/^\/jobs\/[\w-]+$/.test(pathname)) return '/jobs/:id';
+  return METRIC_ROUTES.has(pathname) ? pathname : 'other';
+}
+
+function renderMetrics(): string {
+  const metrics: Metric[] = [
+    httpRequests,
+    synthesisDuration,
+    playbackDuration,
+    elevenLabsCharacters,
+    rateLimitRejections,
+    createReading('gauge', 'pai_playback_queue_depth', 'Clips waiting in the playback queue', () => playbackQueue.length),
+  ];
+
+  if (AUDIO_CACHE_ENABLED) {
+    const lookups = cacheStats.hits + cacheStats.misses;
+    metrics.push(
+      createReading('counter', 'pai_audio_cache_hits_total', 'Speech served from the audio cache', () => cacheStats.hits),
+      createReading('counter', 'pai_audio_cache_misses_total', 'Speech synthesized and added to the audio cache', () => cacheStats.misses),
+      createReading('gauge', 'pai_audio_cache_hit_ratio', 'Share of cacheable speech served from the audio cache', () => lookups > 0 ? cacheStats.hits / lookups : 0),
+      createReading('gauge', 'pai_audio_cache_bytes', 'Size of the audio cache on disk', () => audioCacheBytes),
+    );
   }
+
+  return metrics.flatMap(metric => metric.render()).join('\n') + '\n';
 }
 
-// Rate limiting
-const requestCounts = new Map<string, { count: number; resetTime: number }>();
-const RATE_LIMIT = 10;
-const RATE_WINDOW = 60000;
+// Route a request to its handler
+async function handleRequest(req: Request, server: Server): Promise<Response> {
+  const url = new URL(req.url);
+  const receivedAt = Date.now();
+  const sourceIp = server.requestIP(req)?.address || null;
 
-function checkRateLimit(ip: string): boolean {
-  const now = Date.now();
-  const record = requestCounts.get(ip);
+  // Honour a caller-supplied request ID if it is safe to log, else make one
+  const incomingId = req.headers.get('x-request-id');
+  const requestId = incomingId && /^[\w.:-]{1,128}$/.test(incomingId) ? incomingId : randomUUID();
 
-  if (!record || now > record.resetTime) {
-    requestCounts.set(ip, { count: 1, resetTime: now + RATE_WINDOW });
-    return true;
+  // Sent with every response
+  const corsHeaders = {
+    "Access-Control-Allow-Origin": "http://localhost",
+    "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, Prefer, X-PAI-Timestamp, X-PAI-Signature, X-PAI-Client, X-Request-Id",
+    "Access-Control-Expose-Headers": "X-Request-Id, X-TTS-Provider, Location, Preference-Applied, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset",
+    "X-Request-Id": requestId
+  };
+
+  logger.debug(`${req.method} ${url.pathname}`, { request_id: requestId });
+
+  if (req.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders, status: 204 });
   }
 
-  if (record.count >= RATE_LIMIT) {
-    return false;
+  const auth = await authenticate(req);
+
+  // Authenticated callers share the token's limit; everyone else is keyed on
+  // the socket address (never on client-supplied headers like X-Forwarded-For)
+  const client = auth.method ? 'token' : sourceIp || 'unknown';
+  // Character usage is counted per X-PAI-Client (e.g. the agent's name) when given
+  const clientLabel = req.headers.get('x-pai-client');
+  const usageClient = clientLabel && /^[\w.:-]{1,64}$/.test(clientLabel) ? clientLabel : client;
+  const rateLimit = checkRateLimit(client, url.pathname);
+  if (!rateLimit.allowed) {
+    logger.warn(`🚦 Rate limit exceeded for ${client} on ${url.pathname}`, { request_id: requestId });
+    rateLimitRejections.inc({ route: routeLabel(url.pathname) });
+    return new Response(
+      JSON.stringify({ status: "error", message: "Rate limit exceeded" }),
+      {
+        headers: {
+          ...corsHeaders,
+          "Content-Type": "application/json",
+          "Retry-After": String(rateLimit.retryAfter),
+          "X-RateLimit-Limit": String(rateLimit.limit),
+          "X-RateLimit-Remaining": String(rateLimit.remaining),
+          "X-RateLimit-Reset": String(rateLimit.reset)
+        },
+        status: 429
+      }
+    );
   }
 
-  record.count++;
-  return true;
-}
+  // /health stays public; unauthenticated callers get a redacted report
+  if (!auth.ok && url.pathname !== "/health") {
+    return new Response(
+      JSON.stringify({ status: "error", message: auth.error }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json", "WWW-Authenticate": 'Bearer realm="pai-voice-server"' },
+        status: 401
+      }
+    );
+  }
 
-// Start HTTP server
-const server = serve({
-  port: PORT,
-  async fetch(req) {
-    const url = new URL(req.url);
+  if (url.pathname === "/notify" && req.method === "POST") {
+    let data: any = null;
+    let voice: VoiceSelection | null = null;
+    try {
+      data = await req.json();
+      const request = parseNotifyRequest(data);
+      const { title, message, voiceEnabled, priority } = request;
+      voice = request.voice;
 
-    const clientIp = req.headers.get('x-forwarded-for') || 'localhost';
+      logger.info('📨 Notification received', {
+        title,
+        message,
+        voice_enabled: voiceEnabled,
+        persona: voice.persona || 'default',
+        voice_id: voice.voiceId,
+        request_id: requestId
+      });
 
-    const corsHeaders = {
-      "Access-Control-Allow-Origin": "http://localhost",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type"
-    };
+      const options: NotificationOptions = { voiceEnabled, voice, priority, url: request.url, requestId, client: usageClient };
 
-    if (req.method === "OPTIONS") {
-      return new Response(null, { headers: corsHeaders, status: 204 });
-    }
+      // Respond before speaking: the caller polls GET /jobs/:id instead
+      const preferAsync = /(^|,)\s*respond-async\s*(;|,|$)/i.test(req.headers.get('prefer') || '');
+      if (data.async === true || preferAsync) {
+        const job = startJob(title, message, options, (delivery, error) => recordHistory({
+          requestId, route: url.pathname, title, message, voice, sourceIp, receivedAt, delivery, error
+        }));
+        return new Response(
+          JSON.stringify({ status: "accepted", message: "Notification accepted", persona: voice.persona || null, job_id: job.id }),
+          {
+            headers: {
+              ...corsHeaders,
+              "Content-Type": "application/json",
+              "Location": `/jobs/${job.id}`,
+              ...(preferAsync ? { "Preference-Applied": "respond-async" } : {})
+            },
+            status: 202
+          }
+        );
+      }
 
-    if (!checkRateLimit(clientIp)) {
+      const delivery = await sendNotification(title, message, options);
+      recordHistory({ requestId, route: url.pathname, title, message, voice, sourceIp, receivedAt, delivery });
+
+      return new Response(
+        JSON.stringify({ status: "success", message: "Notification sent", persona: voice.persona || null, notification: delivery.notification }),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+          status: 200
+        }
+      );
+    } catch (error: any) {
+      logger.error('Notification error', { error: error.message, request_id: requestId });
+      recordHistory({
+        requestId,
+        route: url.pathname,
+        title: String(data?.title || "PAI Notification"),
+        message: String(data?.message || "Task completed"),
+        voice,
+        sourceIp,
+        receivedAt,
+        error: error.message || "Internal server error"
+      });
       return new Response(
-        JSON.stringify({ status: "error", message: "Rate limit exceeded" }),
+        JSON.stringify({ status: "error", message: error.message || "Internal server error" }),
         {
           headers: { ...corsHeaders, "Content-Type": "application/json" },
-          status: 429
+          status: error.message?.includes('Invalid') ? 400 : 500
         }
       );
     }
+  }
 
-    if (url.pathname === "/notify" && req.method === "POST") {
-      try {
-        const data = await req.json();
-        const title = data.title || "PAI Notification";
-        const message = data.message || "Task completed";
-        const voiceEnabled = data.voice_enabled !== false;
-        const voiceId = data.voice_id || data.voice_name || null; // Support both voice_id and voice_name
-
-        if (voiceId && typeof voiceId !== 'string') {
-          throw new Error('Invalid voice_id');
-        }
-
-        console.log(`📨 Notification: "${title}" - "${message}" (voice: ${voiceEnabled}, voiceId: ${voiceId || DEFAULT_VOICE_ID})`);
-
-        await sendNotification(title, message, voiceEnabled, voiceId);
+  if (url.pathname === "/notify/batch" && req.method === "POST") {
+    try {
+      const data = await req.json();
+      const items = Array.isArray(data) ? data : data?.notifications;
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new Error('Invalid batch (expected a non-empty array of notifications)');
+      }
+      if (items.length > NOTIFY_BATCH_MAX) {
+        throw new Error(`Invalid batch (at most ${NOTIFY_BATCH_MAX} notifications)`);
+      }
 
+      // Nothing is sent unless every item is valid
+      const parsed = items.map(item => {
+        try {
+          return { request: parseNotifyRequest(item) };
+        } catch (error: any) {
+          return { error: error.message as string };
+        }
+      });
+      const invalid = parsed.filter(item => item.error).length;
+      if (invalid > 0) {
         return new Response(
-          JSON.stringify({ status: "success", message: "Notification sent" }),
-          {
-            headers: { ...corsHeaders, "Content-Type": "application/json" },
-            status: 200
-          }
-        );
-      } catch (error: any) {
-        console.error("Notification error:", error);
-        return new Response(
-          JSON.stringify({ status: "error", message: error.message || "Internal server error" }),
+          JSON.stringify({
+            status: "error",
+            message: `Invalid batch: ${invalid} of ${items.length} notifications failed validation`,
+            results: parsed.map(item => item.error ? { status: "error", message: item.error } : { status: "valid" })
+          }),
           {
             headers: { ...corsHeaders, "Content-Type": "application/json" },
-            status: error.message?.includes('Invalid') ? 400 : 500
+            status: 400
           }
         );
       }
+
+      const requests = parsed.map(item => item.request!);
+      logger.info(`📨 Notification batch of ${requests.length}`, { request_id: requestId });
+
+      const settled = await sendBatch(requests, requestId, usageClient);
+      const results = settled.map((result, index) => {
+        const { title, message, voice } = requests[index];
+        if (result.status === 'fulfilled') {
+          recordHistory({ requestId, route: url.pathname, title, message, voice, sourceIp, receivedAt, delivery: result.value });
+          return { status: "success", persona: voice.persona || null, speech: result.value.speech.status, notification: result.value.notification };
+        }
+
+        const error = result.reason?.message || String(result.reason);
+        logger.error('Notification error', { error, request_id: requestId });
+        recordHistory({ requestId, route: url.pathname, title, message, voice, sourceIp, receivedAt, error });
+        return { status: "error", message: error };
+      });
+
+      const sent = results.filter(result => result.status === "success").length;
+      return new Response(
+        JSON.stringify({ status: "success", message: `${sent} of ${results.length} notifications sent`, results }),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+          status: 200
+        }
+      );
+    } catch (error: any) {
+      logger.error('Notification batch error', { error: error.message, request_id: requestId });
+      return new Response(
+        JSON.stringify({ status: "error", message: error.message || "Internal server error" }),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+          status: error.message?.includes('Invalid') ? 400 : 500
+        }
+      );
     }
+  }
 
-    if (url.pathname === "/pai" && req.method === "POST") {
-      try {
-        const data = await req.json();
-        const title = data.title || "PAI Assistant";
-        const message = data.message || "Task completed";
+  if (url.pathname === "/pai" && req.method === "POST") {
+    let data: any = null;
+    try {
+      data = await req.json();
+      const title = data.title || "PAI Assistant";
+      const message = data.message || "Task completed";
 
-        console.log(`🤖 PAI notification: "${title}" - "${message}"`);
+      logger.info('🤖 PAI notification received', { title, message, request_id: requestId });
 
-        await sendNotification(title, message, true, null);
+      const delivery = await sendNotification(title, message, { requestId, client: usageClient });
+      recordHistory({ requestId, route: url.pathname, title, message, voice: resolveVoice(null), sourceIp, receivedAt, delivery });
 
+      return new Response(
+        JSON.stringify({ status: "success", message: "PAI notification sent", notification: delivery.notification }),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+          status: 200
+        }
+      );
+    } catch (error: any) {
+      logger.error('PAI notification error', { error: error.message, request_id: requestId });
+      recordHistory({
+        requestId,
+        route: url.pathname,
+        title: String(data?.title || "PAI Assistant"),
+        message: String(data?.message || "Task completed"),
+        voice: null,
+        sourceIp,
+        receivedAt,
+        error: error.message || "Internal server error"
+      });
+      return new Response(
+        JSON.stringify({ status: "error", message: error.message || "Internal server error" }),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+          status: error.message?.includes('Invalid') ? 400 : 500
+        }
+      );
+    }
+  }
+
+  if (url.pathname === "/speak" && req.method === "POST") {
+    try {
+      const data = await req.json();
+      requireJsonObject(data, 'speech request');
+
+      const validation = validateInput(data.message, MAX_MESSAGE_LENGTH);
+      if (!validation.valid) {
+        throw new Error(`Invalid message: ${validation.error}`);
+      }
+
+      const format = data.format ?? null;
+      if (format !== null && !isRenderFormat(format)) {
+        throw new Error(`Invalid format (expected ${RENDER_FORMATS.join(', ')})`);
+      }
+
+      const voice = resolveRequestVoice(data);
+      if (format) {
+        voice.settings.output_format = renderOutputFormat(format, voice.settings, data.output_format != null);
+      }
+
+      const spokenMessage = normalizeForSpeech(data.message);
+      if (!spokenMessage) {
+        throw new Error('Invalid message: nothing to speak');
+      }
+
+      logger.info('🎧 Rendering speech', { voice: voice.persona || voice.voiceId, format, request_id: requestId });
+
+      const rendered = await renderSpeech(spokenMessage, voice, format, requestId, usageClient);
+      if (!rendered) {
         return new Response(
-          JSON.stringify({ status: "success", message: "PAI notification sent" }),
-          {
-            headers: { ...corsHeaders, "Content-Type": "application/json" },
-            status: 200
-          }
-        );
-      } catch (error: any) {
-        console.error("PAI notification error:", error);
-        return new Response(
-          JSON.stringify({ status: "error", message: error.message || "Internal server error" }),
+          JSON.stringify({ status: "error", message: "No TTS provider produced audio" }),
           {
             headers: { ...corsHeaders, "Content-Type": "application/json" },
-            status: error.message?.includes('Invalid') ? 400 : 500
+            status: 503
           }
         );
       }
+
+      return new Response(rendered.data, {
+        headers: { ...corsHeaders, "Content-Type": rendered.contentType, "X-TTS-Provider": rendered.provider || "" },
+        status: 200
+      });
+    } catch (error: any) {
+      logger.error('Speak error', { error: error.message, request_id: requestId });
+      return new Response(
+        JSON.stringify({ status: "error", message: error.message || "Internal server error" }),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+          status: error.message?.includes('Invalid') ? 400 : 500
+        }
+      );
+    }
+  }
+
+  if (url.pathname === "/history" && req.method === "GET") {
+    try {
+      return new Response(
+        JSON.stringify(queryHistory(url.searchParams)),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+          status: 200
+        }
+      );
+    } catch (error: any) {
+      return new Response(
+        JSON.stringify({ status: "error", message: error.message || "Internal server error" }),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+          status: error.message?.includes('Invalid') ? 400 : error.message?.includes('disabled') ? 404 : 500
+        }
+      );
+    }
+  }
+
+  if (url.pathname === "/usage" && req.method === "GET") {
+    try {
+      return new Response(
+        JSON.stringify(getUsage(url.searchParams)),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+          status: 200
+        }
+      );
+    } catch (error: any) {
+      return new Response(
+        JSON.stringify({ status: "error", message: error.message || "Internal server error" }),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+          status: error.message?.includes('Invalid') ? 400 : error.message?.includes('disabled') ? 404 : 500
+        }
+      );
     }
+  }
+
+  if (url.pathname === "/replay" && req.method === "POST") {
+    try {
+      // The body is optional; without an id the latest notification is replayed
+      const text = await req.text();
+      const data = text.trim() ? JSON.parse(text) : {};
+      requireJsonObject(data, 'replay request');
+      const id = data.id ?? null;
+      if (id !== null && !(Number.isInteger(id) && id > 0)) {
+        throw new Error('Invalid id (expected a positive integer)');
+      }
+
+      const priority = data.priority ?? 'normal';
+      if (!isPriority(priority)) {
+        throw new Error('Invalid priority (expected low, normal or urgent)');
+      }
+
+      const replay = await replayNotification(id, priority, requestId, usageClient);
 
-    if (url.pathname === "/health") {
       return new Response(
-        JSON.stringify({
-          status: "healthy",
-          port: PORT,
-          voice_system: "ElevenLabs",
-          default_voice_id: DEFAULT_VOICE_ID,
-          api_key_configured: !!ELEVENLABS_API_KEY
-        }),
+        JSON.stringify({ status: "success", message: `Replayed notification ${replay.id}`, replay }),
         {
           headers: { ...corsHeaders, "Content-Type": "application/json" },
           status: 200
         }
       );
+    } catch (error: any) {
+      logger.error('Replay error', { error: error.message, request_id: requestId });
+      return new Response(
+        JSON.stringify({ status: "error", message: error.message || "Internal server error" }),
+        {
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+          status: error.message?.includes('Invalid') ? 400
+            : error.message?.includes('not found') || error.message?.includes('disabled') ? 404
+            : 500
+        }
+      );
     }
+  }
 
-    return new Response("PAIVoice Server - POST to /notify or /pai", {
-      headers: corsHeaders,
+  if (url.pathname === "/metrics" && req.method === "GET") {
+    return new Response(renderMetrics(), {
+      headers: { ...corsHeaders, "Content-Type": "text/plain; version=0.0.4; charset=utf-8" },
       status: 200
     });
+  }
+
+  if (url.pathname === "/queue" && req.method === "GET") {
+    return new Response(
+      JSON.stringify(getQueueStatus()),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200
+      }
+    );
+  }
+
+  if (url.pathname === "/voices" && req.method === "GET") {
+    return new Response(
+      JSON.stringify(await getVoices(url.searchParams.get('refresh') === 'true')),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200
+      }
+    );
+  }
+
+  const jobMatch = url.pathname.match(/^\/jobs\/([\w-]+)$/);
+  if (jobMatch && req.method === "GET") {
+    const job = jobs.get(jobMatch[1]);
+    return new Response(
+      JSON.stringify(job ? describeJob(job) : { status: "error", message: `Job ${jobMatch[1]} not found` }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: job ? 200 : 404
+      }
+    );
+  }
+
+  const queueItemMatch = url.pathname.match(/^\/queue\/(\d+)$/);
+  if (queueItemMatch && req.method === "DELETE") {
+    const id = parseInt(queueItemMatch[1]);
+    const cancelled = cancelPlayback(id);
+    return new Response(
+      JSON.stringify(cancelled
+        ? { status: "success", message: "Playback cancelled", id }
+        : { status: "error", message: `Queue item ${id} not found` }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: cancelled ? 200 : 404
+      }
+    );
+  }
+
+  if (url.pathname === "/health" && !auth.ok) {
+    return new Response(
+      JSON.stringify({ status: "healthy", port: PORT, auth: { enabled: true } }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200
+      }
+    );
+  }
+
+  if (url.pathname === "/health") {
+    return new Response(
+      JSON.stringify({
+        status: "healthy",
+        port: PORT,
+        voice_system: getActiveProvider(),
+        default_voice_id: DEFAULT_VOICE_ID,
+        api_key_configured: !!ELEVENLABS_API_KEY,
+        tts: {
+          chain: PROVIDER_CHAIN,
+          active: getActiveProvider(),
+          available: PROVIDER_CHAIN.filter(name => PROVIDERS[name]?.isAvailable()),
+          recent_failures: getRecentProviderFailures(),
+          circuit_breakers: getBreakerStatus()
+        },
+        queue_depth: playbackQueue.length,
+        cache: getCacheStatus(),
+        audio_player: getPlayerStatus(),
+        notifier: NOTIFIER.name,
+        history: getHistoryStatus(),
+        auth: { enabled: !!AUTH_TOKEN }
+      }),
+      {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+        status: 200
+      }
+    );
+  }
+
+  return new Response("PAIVoice Server - POST to /notify or /pai", {
+    headers: corsHeaders,
+    status: 200
+  });
+}
+
+// Start HTTP server
+const server = serve({
+  port: PORT,
+  async fetch(req, server) {
+    const response = await handleRequest(req, server);
+    httpRequests.inc({ route: routeLabel(new URL(req.url).pathname), status: String(response.status) });
+    return response;
   },
 });
 
-console.log(`🚀 PAIVoice Server running on port ${PORT}`);
-console.log(`🎙️  Using ElevenLabs TTS (default voice: ${DEFAULT_VOICE_ID})`);
-console.log(`📡 POST to http://localhost:${PORT}/notify`);
-console.log(`🔒 Security: CORS restricted to localhost, rate limiting enabled`);
-console.log(`🔑 API Key: ${ELEVENLABS_API_KEY ? '✅ Configured' : '❌ Missing'}`);
+logger.info(`🚀 PAIVoice Server running on port ${PORT}`);
+logger.info(`🎙️  TTS providers: ${PROVIDER_CHAIN.join(' -> ')} (default voice: ${DEFAULT_VOICE_ID})`);
+logger.info(`📡 POST to http://localhost:${PORT}/notify`);
+logger.info(`🔊 Playback queue: max ${PLAYBACK_QUEUE_MAX}, drop ${PLAYBACK_DROP_POLICY}`);
+logger.info(`🔈 Audio player: ${getPlayerStatus().backend || '❌ none found'}`);
+logger.info(`🔔 Notifier: ${NOTIFIER.name}`);
+if (STREAMING_ENABLED) {
+  logger.info(STREAM_PLAYER
+    ? `🌊 Streaming playback via ${STREAM_PLAYER[0]}`
+    : '⚠️  STREAMING=true but no stream player found (mpv, ffplay or mpg123); using buffered playback');
+}
+logger.info(`🔒 Security: CORS restricted to localhost, rate limit ${DEFAULT_RATE_LIMIT.capacity} per ${DEFAULT_RATE_LIMIT.windowMs / 1000}s per client`);
+logger.info(`🔐 Auth: ${AUTH_TOKEN ? 'token required (bearer or HMAC signature)' : `disabled (no token at ${AUTH_TOKEN_FILE})`}`);
+logger.info(`🔑 API Key: ${ELEVENLABS_API_KEY ? '✅ Configured' : '❌ Missing'}`);
+logger.info(`📝 Logging: ${LOG_LEVEL}${LOG_JSON ? ', JSON lines' : ''}`);
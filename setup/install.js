@@ -16,7 +16,8 @@ const commands = {
   stop: require('./lib/commands/stop'),
   restart: require('./lib/commands/restart'),
   status: require('./lib/commands/status'),
-  verify: require('./lib/commands/verify')
+  verify: require('./lib/commands/verify'),
+  replay: require('./lib/commands/replay')
 };
 
 /**
@@ -38,6 +39,7 @@ ${logger.colors.bright}COMMANDS${logger.colors.reset}
   restart      Restart the service
   status       Show service status
   verify       Verify installation integrity
+  replay [id]  Re-speak the last notification, or history entry <id>
 
 ${logger.colors.bright}OPTIONS${logger.colors.reset}
   --dry-run       Preview changes without making them
@@ -45,6 +47,7 @@ ${logger.colors.bright}OPTIONS${logger.colors.reset}
   --verbose       Show detailed output
   --service-mode  Install with enhanced service features (crash recovery, separate logs)
   -s              Short form of --service-mode
+  --no-auth       Install without generating an API auth token
   --help          Show this help message
   --version       Show version information
 
@@ -67,6 +70,9 @@ ${logger.colors.bright}EXAMPLES${logger.colors.reset}
   # View detailed status with logs
   pai-voice-server status --verbose
 
+  # Hear the last notification again
+  pai-voice-server replay
+
   # Uninstall and preserve logs
   pai-voice-server uninstall --preserve-logs
 
@@ -76,8 +82,11 @@ ${logger.colors.bright}DOCUMENTATION${logger.colors.reset}
 
 ${logger.colors.bright}INSTALLATION LOCATION${logger.colors.reset}
   Default: ~/.claude/pai-voice-server/
-  LaunchAgent: ~/Library/LaunchAgents/com.pai.voice-server.plist
-  Logs: ~/Library/Logs/pai-voice-server.log
+  Auth token: ~/.claude/pai-voice-server/auth-token
+  LaunchAgent (macOS): ~/Library/LaunchAgents/com.pai.voice-server.plist
+  systemd unit (Linux): ~/.config/systemd/user/pai-voice-server.service
+  Logs (macOS): ~/Library/Logs/pai-voice-server.log
+  Logs (Linux): ~/.local/state/pai-voice-server/pai-voice-server.log
 `);
 }
 
@@ -103,7 +112,9 @@ function parseArgs() {
       force: false,
       preserveLogs: false,
       backup: false,
-      serviceMode: false
+      serviceMode: false,
+      noAuth: false,
+      args: []
     }
   };
 
@@ -155,10 +166,17 @@ function parseArgs() {
       continue;
     }
 
-    // If it doesn't start with --, it's a command
+    if (arg === '--no-auth') {
+      parsed.options.noAuth = true;
+      continue;
+    }
+
+    // If it doesn't start with --, it's a command (or one of its arguments)
     if (!arg.startsWith('--') && !arg.startsWith('-')) {
       if (!parsed.command) {
         parsed.command = arg;
+      } else {
+        parsed.options.args.push(arg);
       }
     }
   }
@@ -6,10 +6,11 @@
 const logger = require('../utils/logger');
 const { copyFile, ensureDirectoryExists } = require('../utils/file-ops');
 const environment = require('../core/environment');
-const launchagent = require('../core/launchagent');
+const service = require('../core/service-manager').getServiceManager();
 const metadata = require('../core/metadata');
 const manifest = require('../core/manifest');
 const paths = require('../core/paths');
+const authToken = require('../core/auth-token');
 
 /**
  * Install PAI Voice Server
@@ -17,10 +18,11 @@ const paths = require('../core/paths');
  * @param {boolean} options.dryRun - Preview without making changes
  * @param {boolean} options.force - Force reinstall if already installed
  * @param {boolean} options.serviceMode - Use enhanced service mode (crash recovery, separate logs)
+ * @param {boolean} options.noAuth - Skip generating the API auth token
  * @returns {Promise<object>} Installation result
  */
 async function install(options = {}) {
-  const { dryRun = false, force = false, serviceMode = false } = options;
+  const { dryRun = false, force = false, serviceMode = false, noAuth = false } = options;
 
   logger.boxHeader('PAI Voice Server Installation');
   logger.newline();
@@ -100,28 +102,45 @@ async function install(options = {}) {
     }
   }
 
-  // Step 6: Create LaunchAgent
+  // Step 5b: Generate API auth token (read by the server at startup)
+  let tokenPath = null;
+  if (noAuth) {
+    logger.info('Skipping API auth token (--no-auth)');
+  } else {
+    logger.info('Configuring API authentication...');
+
+    try {
+      const token = authToken.ensureToken({ dryRun });
+      tokenPath = token.path;
+      logger.success(token.created ? `Auth token generated: ${token.path}` : `Using existing auth token: ${token.path}`);
+    } catch (error) {
+      logger.error(`Failed to create auth token: ${error.message}`);
+      return { success: false, reason: 'auth_token_failed', error: error.message };
+    }
+  }
+
+  // Step 6: Create service definition
   logger.info(`Creating service${serviceMode ? ' (service mode)' : ''}...`);
 
   try {
-    launchagent.createPlist({ dryRun, serviceMode });
-    logger.success(`LaunchAgent created${serviceMode ? ' with enhanced features' : ''}`);
+    service.create({ dryRun, serviceMode });
+    logger.success(`${service.displayName} created${serviceMode ? ' with enhanced features' : ''}`);
   } catch (error) {
-    logger.error(`Failed to create LaunchAgent: ${error.message}`);
-    return { success: false, reason: 'launchagent_creation_failed', error: error.message };
+    logger.error(`Failed to create ${service.displayName}: ${error.message}`);
+    return { success: false, reason: 'service_creation_failed', error: error.message };
   }
 
   // Step 7: Start service
   logger.info('Starting service...');
 
   try {
-    launchagent.load({ dryRun });
+    service.load({ dryRun });
     logger.success('Service started');
 
     if (!dryRun) {
       // Wait for service to start
       logger.info('Waiting for server to start...');
-      const started = await launchagent.waitForStart(10);
+      const started = await service.waitForStart(10);
 
       if (started) {
         logger.success('Server is running');
@@ -153,6 +172,7 @@ async function install(options = {}) {
   logger.keyValue('Service', manifest.getManifest().service.name);
   logger.keyValue('Port', manifest.getManifest().service.port);
   logger.keyValue('Mode', serviceMode ? 'Service (enhanced)' : 'Standard');
+  logger.keyValue('Auth', tokenPath ? `token in ${tokenPath}` : 'disabled');
 
   if (serviceMode) {
     logger.keyValue('Stdout Log', paths.getStdoutLogPath());
@@ -167,6 +187,9 @@ async function install(options = {}) {
   logger.log('  • Test server: curl http://localhost:8888/health');
   logger.log('  • Send notification: curl -X POST http://localhost:8888/notify \\');
   logger.log('      -H "Content-Type: application/json" \\');
+  if (tokenPath) {
+    logger.log(`      -H "Authorization: Bearer $(cat ${tokenPath})" \\`);
+  }
   logger.log('      -d \'{"message": "Hello from PAI"}\'');
 
   if (serviceMode) {
@@ -189,6 +212,7 @@ async function install(options = {}) {
     success: true,
     installedComponents,
     installPath,
+    authTokenPath: tokenPath,
     dryRun
   };
 }
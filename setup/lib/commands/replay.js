@@ -0,0 +1,79 @@
+/**
+ * Replay command
+ * Re-speaks the last notification, or a history entry by ID
+ */
+
+const logger = require('../utils/logger');
+const service = require('../core/service-manager').getServiceManager();
+const metadata = require('../core/metadata');
+const serverApi = require('../core/server-api');
+
+/**
+ * Replay a notification through the running server
+ * @param {object} options - Replay options
+ * @param {boolean} options.dryRun - Preview without making changes
+ * @param {string[]} options.args - Positional arguments ([id])
+ * @returns {Promise<object>} Replay result
+ */
+async function replay(options = {}) {
+  const { dryRun = false, args = [] } = options;
+  const [idArg] = args;
+
+  let id = null;
+  if (idArg !== undefined) {
+    if (!/^\d+$/.test(idArg) || parseInt(idArg, 10) < 1) {
+      logger.error(`Invalid history ID: ${idArg}`);
+      logger.info('Find IDs with: curl http://localhost:8888/history');
+      return { success: false, reason: 'invalid_id' };
+    }
+    id = parseInt(idArg, 10);
+  }
+
+  // Check if installed
+  if (!metadata.isInstalled()) {
+    logger.error('PAI Voice Server is not installed');
+    logger.info('Install first: pai-voice-server install');
+    return { success: false, reason: 'not_installed' };
+  }
+
+  const target = id === null ? 'last notification' : `notification ${id}`;
+
+  if (dryRun) {
+    logger.success(`[DRY RUN] Would replay ${target}`);
+    return { success: true, dryRun: true };
+  }
+
+  if (!(await service.isRunning())) {
+    logger.error('Server is not running');
+    logger.info('Start it with: pai-voice-server start');
+    return { success: false, reason: 'not_running' };
+  }
+
+  logger.info(`Replaying ${target}...`);
+  const response = serverApi.post('/replay', id === null ? {} : { id });
+
+  if (!response) {
+    logger.error('No response from server');
+    return { success: false, reason: 'no_response' };
+  }
+
+  if (response.status !== 'success') {
+    logger.error(`Replay failed: ${response.message}`);
+    return { success: false, reason: 'replay_failed', error: response.message };
+  }
+
+  const { replay: result } = response;
+  logger.success(response.message);
+  logger.keyValue('Title', result.title);
+  logger.keyValue('Message', result.message);
+
+  let audio = 'not spoken (no TTS provider produced audio)';
+  if (result.spoken) {
+    audio = result.cached ? `stored audio (${result.provider})` : `synthesized again (${result.provider})`;
+  }
+  logger.keyValue('Audio', audio);
+
+  return { success: true, replay: result };
+}
+
+module.exports = replay;
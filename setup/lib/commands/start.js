@@ -4,7 +4,7 @@
  */
 
 const logger = require('../utils/logger');
-const launchagent = require('../core/launchagent');
+const service = require('../core/service-manager').getServiceManager();
 const metadata = require('../core/metadata');
 
 /**
@@ -26,19 +26,19 @@ async function start(options = {}) {
   }
 
   // Check if already running
-  const status = await launchagent.getStatus();
+  const status = await service.getStatus();
   if (status.running && !dryRun) {
     logger.success('Server is already running');
     return { success: true, alreadyRunning: true };
   }
 
-  // Load LaunchAgent
+  // Load service
   try {
-    launchagent.load({ dryRun });
+    service.load({ dryRun });
 
     if (!dryRun) {
       logger.info('Waiting for server to start...');
-      const started = await launchagent.waitForStart(10);
+      const started = await service.waitForStart(10);
 
       if (started) {
         logger.success('Server started successfully');
@@ -4,11 +4,12 @@
  */
 
 const logger = require('../utils/logger');
-const launchagent = require('../core/launchagent');
+const service = require('../core/service-manager').getServiceManager();
 const metadata = require('../core/metadata');
 const environment = require('../core/environment');
 const paths = require('../core/paths');
 const manifest = require('../core/manifest');
+const serverApi = require('../core/server-api');
 
 /**
  * Show PAI Voice Server status
@@ -36,7 +37,7 @@ async function status(options = {}) {
   const meta = metadata.readMetadata();
 
   // Get service status
-  const serviceStatus = await launchagent.getStatus();
+  const serviceStatus = await service.getStatus();
 
   // Display installation info
   logger.section('Installation');
@@ -63,7 +64,7 @@ async function status(options = {}) {
   }
 
   logger.keyValue('Port', manifest.getManifest().service.port);
-  logger.keyValue('LaunchAgent', serviceStatus.plistExists ? 'installed' : 'not found');
+  logger.keyValue(service.displayName, serviceStatus.definitionExists ? 'installed' : 'not found');
 
   // Check API configuration
   const elevenLabsCheck = environment.checkElevenLabsConfig();
@@ -80,6 +81,36 @@ async function status(options = {}) {
     logger.log('  Add to ~/.env: ELEVENLABS_API_KEY=your_api_key_here');
   }
 
+  // Audio output reported by the running server
+  const health = serviceStatus.running ? serverApi.getHealth() : null;
+  if (health && health.audio_player) {
+    logger.newline();
+    logger.section('Audio');
+    const player = health.audio_player;
+    logger.keyValue('Player', player.backend || `${logger.colors.yellow}none found${logger.colors.reset}`);
+    if (player.output_dir) {
+      logger.keyValue('Output Directory', player.output_dir);
+    }
+    if (player.stream_player) {
+      logger.keyValue('Stream Player', player.stream_player);
+    }
+  }
+
+  // Characters sent to ElevenLabs, against the budgets
+  const usage = serviceStatus.running ? serverApi.getUsage() : null;
+  if (usage) {
+    logger.newline();
+    logger.section('Character Usage');
+    const formatUsage = ({ characters, budget }) =>
+      budget ? `${characters.toLocaleString()} / ${budget.toLocaleString()}` : characters.toLocaleString();
+    logger.keyValue('Today', formatUsage(usage.today));
+    logger.keyValue('This Month', formatUsage(usage.month));
+    if (usage.exhausted) {
+      const action = usage.budget_action === 'notify-only' ? 'notifications only' : 'using fallback provider';
+      logger.keyValue('Budget', `${logger.colors.yellow}exhausted (${action})${logger.colors.reset}`);
+    }
+  }
+
   // Check for customizations
   const customized = metadata.getCustomizedFiles();
   if (customized.length > 0) {
@@ -100,7 +131,7 @@ async function status(options = {}) {
   if (verbose) {
     logger.newline();
     logger.section('Recent Logs (last 20 lines)');
-    const logs = launchagent.getLogs(20);
+    const logs = service.getLogs(20);
     logger.log(logger.colors.dim + logs + logger.colors.reset);
   }
 
@@ -125,6 +156,8 @@ async function status(options = {}) {
     version: meta.version,
     serviceStatus,
     elevenLabsConfigured: elevenLabsCheck.configured,
+    audioPlayer: health && health.audio_player ? health.audio_player.backend : null,
+    usage,
     customized: customized.length > 0
   };
 }
@@ -4,7 +4,7 @@
  */
 
 const logger = require('../utils/logger');
-const launchagent = require('../core/launchagent');
+const service = require('../core/service-manager').getServiceManager();
 const metadata = require('../core/metadata');
 
 /**
@@ -25,21 +25,21 @@ async function stop(options = {}) {
   }
 
   // Check if running
-  const status = await launchagent.getStatus();
+  const status = await service.getStatus();
   if (!status.running && !dryRun) {
     logger.warn('Server is not running');
     return { success: true, alreadyStopped: true };
   }
 
-  // Unload LaunchAgent
+  // Unload service
   try {
-    launchagent.unload({ dryRun });
+    service.unload({ dryRun });
 
     if (!dryRun) {
       // Give it a moment to stop
       await require('../utils/exec').sleep(2000);
 
-      const newStatus = await launchagent.getStatus();
+      const newStatus = await service.getStatus();
       if (!newStatus.running) {
         logger.success('Server stopped successfully');
         return { success: true };
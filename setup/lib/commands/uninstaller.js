@@ -5,7 +5,7 @@
 
 const logger = require('../utils/logger');
 const { removeDirectory, removeFile, backupFile } = require('../utils/file-ops');
-const launchagent = require('../core/launchagent');
+const service = require('../core/service-manager').getServiceManager();
 const metadata = require('../core/metadata');
 const paths = require('../core/paths');
 
@@ -53,11 +53,11 @@ async function uninstall(options = {}) {
 
   // Stop service
   logger.info('Stopping service...');
-  const serviceStatus = await launchagent.getStatus();
+  const serviceStatus = await service.getStatus();
 
   if (serviceStatus.running || serviceStatus.loaded) {
     try {
-      launchagent.unload({ dryRun });
+      service.unload({ dryRun });
       logger.success('Service stopped');
     } catch (error) {
       logger.warn(`Failed to stop service: ${error.message}`);
@@ -66,17 +66,17 @@ async function uninstall(options = {}) {
     logger.success('Service not running');
   }
 
-  // Remove LaunchAgent plist
-  logger.info('Removing LaunchAgent...');
+  // Remove service definition
+  logger.info(`Removing ${service.displayName}...`);
   try {
-    const removed = launchagent.removePlist({ dryRun });
+    const removed = service.remove({ dryRun });
     if (removed) {
-      logger.success('LaunchAgent removed');
+      logger.success(`${service.displayName} removed`);
     } else {
-      logger.verbose('LaunchAgent not found');
+      logger.verbose(`${service.displayName} not found`);
     }
   } catch (error) {
-    logger.warn(`Failed to remove LaunchAgent: ${error.message}`);
+    logger.warn(`Failed to remove ${service.displayName}: ${error.message}`);
   }
 
   // Remove installation directory
@@ -5,7 +5,7 @@
 
 const logger = require('../utils/logger');
 const { copyFile, backupFile } = require('../utils/file-ops');
-const launchagent = require('../core/launchagent');
+const service = require('../core/service-manager').getServiceManager();
 const metadata = require('../core/metadata');
 const manifest = require('../core/manifest');
 const paths = require('../core/paths');
@@ -62,11 +62,11 @@ async function update(options = {}) {
 
   // Stop service
   logger.info('Stopping service...');
-  const wasRunning = await launchagent.isRunning();
+  const wasRunning = await service.isRunning();
 
   if (wasRunning) {
     try {
-      launchagent.unload({ dryRun });
+      service.unload({ dryRun });
       logger.success('Service stopped');
     } catch (error) {
       logger.warn(`Failed to stop service: ${error.message}`);
@@ -123,10 +123,10 @@ async function update(options = {}) {
     }
   }
 
-  // Update LaunchAgent
+  // Update service definition
   logger.info('Updating service configuration...');
   try {
-    launchagent.createPlist({ dryRun });
+    service.create({ dryRun });
     logger.success('Service configuration updated');
   } catch (error) {
     logger.warn(`Failed to update service configuration: ${error.message}`);
@@ -145,11 +145,11 @@ async function update(options = {}) {
   if (wasRunning) {
     logger.info('Starting service...');
     try {
-      launchagent.load({ dryRun });
+      service.load({ dryRun });
 
       if (!dryRun) {
         logger.info('Waiting for server to start...');
-        const started = await launchagent.waitForStart(10);
+        const started = await service.waitForStart(10);
 
         if (started) {
           logger.success('Server started successfully');
@@ -5,10 +5,9 @@
 
 const fs = require('fs');
 const logger = require('../utils/logger');
-const launchagent = require('../core/launchagent');
+const service = require('../core/service-manager').getServiceManager();
 const metadata = require('../core/metadata');
 const manifest = require('../core/manifest');
-const paths = require('../core/paths');
 
 /**
  * Verify PAI Voice Server installation
@@ -60,26 +59,26 @@ async function verify() {
     }
   }
 
-  // Check LaunchAgent
-  logger.info('Checking LaunchAgent...');
-  const plistPath = paths.getLaunchAgentPath();
+  // Check service definition
+  logger.info(`Checking ${service.displayName}...`);
+  const definitionPath = service.getDefinitionPath();
 
-  if (!fs.existsSync(plistPath)) {
-    issues.push('LaunchAgent plist missing');
-    logger.error('LaunchAgent plist missing');
+  if (!fs.existsSync(definitionPath)) {
+    issues.push(`${service.displayName} definition missing`);
+    logger.error(`${service.displayName} definition missing`);
   } else {
-    logger.success('LaunchAgent plist exists');
+    logger.success(`${service.displayName} definition exists`);
   }
 
   // Check service status
   logger.info('Checking service status...');
-  const serviceStatus = await launchagent.getStatus();
+  const serviceStatus = await service.getStatus();
 
   if (serviceStatus.loaded) {
-    logger.success('LaunchAgent is loaded');
+    logger.success(`${service.displayName} is loaded`);
   } else {
-    warnings.push('LaunchAgent not loaded');
-    logger.warn('LaunchAgent not loaded');
+    warnings.push(`${service.displayName} not loaded`);
+    logger.warn(`${service.displayName} not loaded`);
   }
 
   if (serviceStatus.running) {
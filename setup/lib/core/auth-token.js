@@ -0,0 +1,73 @@
+/**
+ * API auth token management
+ * Generates and reads the shared secret that authenticates requests to the server
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const paths = require('./paths');
+
+/**
+ * Generate a new random token
+ * @returns {string} 64-character hex token
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Read the installed token
+ * @returns {string|null} Token or null if auth is not configured
+ */
+function readToken() {
+  const tokenPath = paths.getAuthTokenPath();
+
+  if (!fs.existsSync(tokenPath)) {
+    return null;
+  }
+
+  try {
+    return fs.readFileSync(tokenPath, 'utf8').trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create the token file if it does not exist yet (owner read/write only)
+ * An existing token is kept so configured clients keep working across reinstalls
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - If true, don't actually write
+ * @returns {object} { created, path }
+ */
+function ensureToken(options = {}) {
+  const { dryRun = false } = options;
+  const tokenPath = paths.getAuthTokenPath();
+
+  if (fs.existsSync(tokenPath)) {
+    logger.verbose(`Keeping existing auth token: ${tokenPath}`);
+    // Tighten permissions in case the file was created or copied loosely
+    if (!dryRun) {
+      fs.chmodSync(tokenPath, 0o600);
+    }
+    return { created: false, path: tokenPath };
+  }
+
+  logger.verbose(`Generating auth token: ${tokenPath}`);
+
+  if (dryRun) {
+    logger.verbose('  [DRY RUN] Would write auth token with mode 0600');
+    return { created: true, path: tokenPath };
+  }
+
+  fs.writeFileSync(tokenPath, generateToken() + '\n', { encoding: 'utf8', mode: 0o600 });
+
+  return { created: true, path: tokenPath };
+}
+
+module.exports = {
+  generateToken,
+  readToken,
+  ensureToken
+};
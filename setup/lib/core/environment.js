@@ -11,22 +11,28 @@ const logger = require('../utils/logger');
 const manifest = require('./manifest');
 const paths = require('./paths');
 
+// Display names for supported platforms
+const PLATFORM_NAMES = {
+  darwin: 'macOS',
+  linux: 'Linux'
+};
+
 /**
- * Validate platform (macOS only)
- * @returns {object} { valid, error }
+ * Validate platform (macOS or Linux)
+ * @returns {object} { valid, name, error }
  */
 function validatePlatform() {
   const platform = os.platform();
-  const requiredPlatform = manifest.getManifest().requirements.platform;
+  const supportedPlatforms = manifest.getManifest().requirements.platforms;
 
-  if (platform !== requiredPlatform) {
+  if (!supportedPlatforms.includes(platform)) {
     return {
       valid: false,
-      error: `Unsupported platform: ${platform}. PAI Voice Server requires macOS.`
+      error: `Unsupported platform: ${platform}. PAI Voice Server requires macOS or Linux.`
     };
   }
 
-  return { valid: true };
+  return { valid: true, name: PLATFORM_NAMES[platform] || platform };
 }
 
 /**
@@ -93,7 +99,64 @@ function validateLaunchctl() {
     };
   }
 
-  return { valid: true };
+  return { valid: true, command: 'launchctl' };
+}
+
+/**
+ * Validate systemctl with a reachable user manager (Linux service manager)
+ * @returns {object} { valid, command, error }
+ */
+function validateSystemctl() {
+  if (!commandExists('systemctl')) {
+    return {
+      valid: false,
+      error: 'systemctl not found (required for Linux service management)'
+    };
+  }
+
+  try {
+    execOutput('systemctl --user show-environment');
+  } catch {
+    return {
+      valid: false,
+      error: 'systemd user manager not reachable (systemctl --user failed; is this a login session?)'
+    };
+  }
+
+  return { valid: true, command: 'systemctl' };
+}
+
+/**
+ * Validate the platform's service manager
+ * @returns {object} { valid, command, error }
+ */
+function validateServiceManager() {
+  return os.platform() === 'linux' ? validateSystemctl() : validateLaunchctl();
+}
+
+/**
+ * Find what is listening on a port
+ * lsof is missing on many Linux installs, so fall back to ss, then to trying
+ * to bind the port ourselves (which tells us it is taken, but not by whom)
+ * @param {number} port - Port number to check
+ * @returns {object} { inUse, pid }
+ */
+function findPortListener(port) {
+  if (commandExists('lsof')) {
+    const pid = execOutput(`lsof -ti:${port}`, { ignoreError: true }).split('\n')[0];
+    return { inUse: !!pid, pid };
+  }
+
+  if (commandExists('ss')) {
+    const listeners = execOutput(`ss -Htlnp "sport = :${port}"`, { ignoreError: true });
+    // The owning process is only shown for our own processes
+    const match = listeners.match(/pid=(\d+)/);
+    return { inUse: !!listeners, pid: match ? match[1] : null };
+  }
+
+  const probe = `require('net').createServer().once('error', e => { console.log(e.code); process.exit(); }).listen(${port}, () => process.exit())`;
+  const result = execOutput(`"${process.execPath}" -e "${probe}"`, { ignoreError: true });
+  return { inUse: result === 'EADDRINUSE', pid: null };
 }
 
 /**
@@ -102,35 +165,26 @@ function validateLaunchctl() {
  * @returns {object} { available, processInfo, error }
  */
 function checkPort(port) {
-  try {
-    const result = execOutput(`lsof -ti:${port}`, { ignoreError: true });
+  const { inUse, pid } = findPortListener(port);
 
-    if (!result || result.trim() === '') {
-      return { available: true };
-    }
+  if (!inUse) {
+    return { available: true };
+  }
 
-    // Port is in use
-    const pid = result.trim().split('\n')[0];
-    let processInfo = `PID ${pid}`;
+  let processInfo = pid ? `PID ${pid}` : 'another process';
 
-    try {
-      const processName = execOutput(`ps -p ${pid} -o comm=`, { ignoreError: true });
-      if (processName) {
-        processInfo = `${processName.trim()} (PID ${pid})`;
-      }
-    } catch {
-      // Ignore error getting process name
+  if (pid) {
+    const processName = execOutput(`ps -p ${pid} -o comm=`, { ignoreError: true });
+    if (processName) {
+      processInfo = `${processName} (PID ${pid})`;
     }
-
-    return {
-      available: false,
-      processInfo,
-      error: `Port ${port} is already in use by ${processInfo}`
-    };
-  } catch (error) {
-    // If lsof command fails, assume port is available
-    return { available: true };
   }
+
+  return {
+    available: false,
+    processInfo,
+    error: `Port ${port} is already in use by ${processInfo}`
+  };
 }
 
 /**
@@ -222,7 +276,7 @@ function validateEnvironment() {
     platform: validatePlatform(),
     nodeVersion: validateNodeVersion(),
     bun: validateBun(),
-    launchctl: validateLaunchctl(),
+    serviceManager: validateServiceManager(),
     port: checkPort(8888),
     elevenLabs: checkElevenLabsConfig(),
     permissions: checkDirectoryPermissions('~/.claude')
@@ -235,7 +289,7 @@ function validateEnvironment() {
   if (!checks.platform.valid) errors.push(checks.platform.error);
   if (!checks.nodeVersion.valid) errors.push(checks.nodeVersion.error);
   if (!checks.bun.valid) errors.push(checks.bun.error);
-  if (!checks.launchctl.valid) errors.push(checks.launchctl.error);
+  if (!checks.serviceManager.valid) errors.push(checks.serviceManager.error);
   if (checks.permissions.writable === false) errors.push(checks.permissions.error);
 
   // Collect warnings (non-fatal)
@@ -261,7 +315,7 @@ function displayEnvironmentCheck(result) {
 
   // Display checks
   if (checks.platform.valid) {
-    logger.success('Platform: macOS');
+    logger.success(`Platform: ${checks.platform.name}`);
   }
 
   if (checks.nodeVersion.valid) {
@@ -272,8 +326,8 @@ function displayEnvironmentCheck(result) {
     logger.success(`Bun: ${checks.bun.version}`);
   }
 
-  if (checks.launchctl.valid) {
-    logger.success('launchctl: available');
+  if (checks.serviceManager.valid) {
+    logger.success(`${checks.serviceManager.command}: available`);
   }
 
   if (checks.port.available) {
@@ -312,6 +366,8 @@ module.exports = {
   validateNodeVersion,
   validateBun,
   validateLaunchctl,
+  validateSystemctl,
+  validateServiceManager,
   checkPort,
   checkElevenLabsConfig,
   checkDirectoryPermissions,
@@ -9,6 +9,17 @@ const logger = require('../utils/logger');
 const paths = require('./paths');
 const manifest = require('./manifest');
 
+const name = 'launchagent';
+const displayName = 'LaunchAgent';
+
+/**
+ * Get LaunchAgent plist path
+ * @returns {string} Path to plist file
+ */
+function getDefinitionPath() {
+  return paths.getLaunchAgentPath();
+}
+
 /**
  * Generate LaunchAgent plist content
  * @returns {string} Plist XML content
@@ -320,6 +331,7 @@ async function getStatus() {
     loaded,
     running,
     plistExists,
+    definitionExists: plistExists,
     status: running ? 'running' : (loaded ? 'loaded but not responding' : 'stopped')
   };
 }
@@ -364,10 +376,15 @@ async function waitForStart(timeout = 10) {
 }
 
 module.exports = {
+  name,
+  displayName,
+  getDefinitionPath,
   generatePlist,
   generateServiceModePlist,
   createPlist,
   removePlist,
+  create: createPlist,
+  remove: removePlist,
   load,
   unload,
   isLoaded,
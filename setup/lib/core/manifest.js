@@ -3,6 +3,7 @@
  * Defines all components and their installation locations
  */
 
+const os = require('os');
 const paths = require('./paths');
 const packageJson = require('../../package.json');
 
@@ -11,6 +12,8 @@ const packageJson = require('../../package.json');
  * @returns {object} Installation manifest
  */
 function getManifest() {
+  const serviceCommand = os.platform() === 'linux' ? 'systemctl' : 'launchctl';
+
   return {
     version: packageJson.version,
     installPath: paths.getInstallPath(),
@@ -32,6 +35,14 @@ function getManifest() {
         target: paths.getVoicesPath(),
         description: 'Voice configuration',
         preserveOnUpdate: true // Allow user customization
+      },
+      lexicon: {
+        name: 'lexicon',
+        type: 'optional',
+        source: 'lexicon.json',
+        target: paths.getLexiconPath(),
+        description: 'Pronunciation lexicon',
+        preserveOnUpdate: true // Allow user customization
       }
     },
 
@@ -40,15 +51,16 @@ function getManifest() {
       name: 'com.pai.voice-server',
       displayName: 'PAI Voice Server',
       plistPath: paths.getLaunchAgentPath(),
+      unitPath: paths.getSystemdUnitPath(),
       logPath: paths.getLogPath(),
       port: 8888
     },
 
     // Environment requirements
     requirements: {
-      platform: 'darwin', // macOS only
+      platforms: ['darwin', 'linux'], // LaunchAgent on macOS, systemd user service on Linux
       minNodeVersion: '18.0.0',
-      requiredCommands: ['bun', 'launchctl', 'curl'],
+      requiredCommands: ['bun', serviceCommand, 'curl'],
       optionalCommands: []
     }
   };
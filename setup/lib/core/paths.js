@@ -52,11 +52,24 @@ function getLaunchAgentPath() {
   return expandHome('~/Library/LaunchAgents/com.pai.voice-server.plist');
 }
 
+/**
+ * Get systemd user unit path
+ * @returns {string} Path to systemd user unit file
+ */
+function getSystemdUnitPath() {
+  return expandHome('~/.config/systemd/user/pai-voice-server.service');
+}
+
 /**
  * Get log file path (standard mode - combined stdout/stderr)
+ * Lives outside the install directory so logs can survive uninstall
+ * @param {string} platform - Platform name (defaults to current platform)
  * @returns {string} Path to log file
  */
-function getLogPath() {
+function getLogPath(platform = os.platform()) {
+  if (platform === 'linux') {
+    return expandHome('~/.local/state/pai-voice-server/pai-voice-server.log');
+  }
   return expandHome('~/Library/Logs/pai-voice-server.log');
 }
 
@@ -108,6 +121,22 @@ function getVoicesPath() {
   return path.join(getInstallPath(), 'voices.json');
 }
 
+/**
+ * Get pronunciation lexicon file path
+ * @returns {string} Path to installed lexicon.json
+ */
+function getLexiconPath() {
+  return path.join(getInstallPath(), 'lexicon.json');
+}
+
+/**
+ * Get API auth token file path
+ * @returns {string} Path to the shared secret read by server.ts
+ */
+function getAuthTokenPath() {
+  return path.join(getInstallPath(), 'auth-token');
+}
+
 /**
  * Expand tilde (~) in paths to home directory
  * @param {string} filePath - Path potentially containing ~
@@ -147,6 +176,7 @@ module.exports = {
   getInstallBasePath,
   getInstallPath,
   getLaunchAgentPath,
+  getSystemdUnitPath,
   getLogPath,
   getLogsDir,
   getStdoutLogPath,
@@ -154,6 +184,8 @@ module.exports = {
   getMetadataPath,
   getServerPath,
   getVoicesPath,
+  getLexiconPath,
+  getAuthTokenPath,
   expandHome,
   getBunPath
 };
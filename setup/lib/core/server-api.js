@@ -0,0 +1,97 @@
+/**
+ * Server API client
+ * Queries the running voice server over its local HTTP API
+ */
+
+const { execOutput } = require('../utils/exec');
+const manifest = require('./manifest');
+const authToken = require('./auth-token');
+
+/**
+ * Get base URL of the running server
+ * @returns {string} Base URL (e.g. http://localhost:8888)
+ */
+function getBaseUrl() {
+  return `http://localhost:${manifest.getManifest().service.port}`;
+}
+
+/**
+ * Run curl against the server. The auth token's header is read from stdin
+ * (-H @-) so it never appears in the process list or verbose logs.
+ * @param {string} args - curl arguments, ending with the URL
+ * @returns {string} Response body, or empty if curl failed
+ */
+function curl(args) {
+  const token = authToken.readToken();
+  return execOutput(`curl ${token ? '-H @- ' : ''}${args}`, {
+    ignoreError: true,
+    input: token ? `Authorization: Bearer ${token}\n` : undefined
+  });
+}
+
+/**
+ * Send a GET request to the server
+ * @param {string} pathname - API path (e.g. '/health')
+ * @returns {object|null} Parsed JSON response or null if unreachable
+ */
+function get(pathname) {
+  const output = curl(`-s -f -m 2 ${getBaseUrl()}${pathname}`);
+
+  if (!output) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(output);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Send a POST request with a JSON body to the server
+ * Error responses are returned too, so callers can show the server's message
+ * @param {string} pathname - API path (e.g. '/replay')
+ * @param {object} body - Request body
+ * @param {number} timeout - Timeout in seconds (the server may wait for playback)
+ * @returns {object|null} Parsed JSON response or null if unreachable
+ */
+function post(pathname, body = {}, timeout = 120) {
+  // Single-quoted for the shell; '\'' closes the quote, adds a literal quote and reopens
+  const json = JSON.stringify(body).replace(/'/g, '\'\\\'\'');
+  const output = curl(`-s -m ${timeout} -X POST -H "Content-Type: application/json" -d '${json}' ${getBaseUrl()}${pathname}`);
+
+  if (!output) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(output);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get server health report
+ * @returns {object|null} Health response or null if server is not responding
+ */
+function getHealth() {
+  return get('/health');
+}
+
+/**
+ * Get character usage against the daily and monthly budgets
+ * @returns {object|null} Usage response or null if unavailable
+ */
+function getUsage() {
+  return get('/usage?days=1');
+}
+
+module.exports = {
+  getBaseUrl,
+  get,
+  post,
+  getHealth,
+  getUsage
+};
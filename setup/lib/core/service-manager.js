@@ -0,0 +1,25 @@
+/**
+ * Service manager selection
+ * Picks the platform's service backend: LaunchAgent on macOS, systemd user service on Linux
+ *
+ * Every backend exposes the same interface:
+ *   name, displayName, getDefinitionPath(), create(), remove(), load(), unload(),
+ *   isLoaded(), isRunning(), getStatus(), getLogs(), waitForStart()
+ */
+
+const os = require('os');
+const launchagent = require('./launchagent');
+const systemd = require('./systemd');
+
+/**
+ * Get service manager for a platform
+ * @param {string} platform - Platform name (defaults to current platform)
+ * @returns {object} Service manager module
+ */
+function getServiceManager(platform = os.platform()) {
+  return platform === 'linux' ? systemd : launchagent;
+}
+
+module.exports = {
+  getServiceManager
+};
@@ -0,0 +1,340 @@
+/**
+ * systemd user service management
+ * Handles Linux systemd --user unit creation, loading, and status checks
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exec, execOutput, sleep } = require('../utils/exec');
+const logger = require('../utils/logger');
+const paths = require('./paths');
+const manifest = require('./manifest');
+
+const name = 'systemd';
+const displayName = 'systemd user service';
+
+/**
+ * Get unit name (e.g. pai-voice-server.service)
+ * @returns {string} Unit file name
+ */
+function getUnitName() {
+  return path.basename(paths.getSystemdUnitPath());
+}
+
+/**
+ * Get unit file path
+ * @returns {string} Path to unit file
+ */
+function getDefinitionPath() {
+  return paths.getSystemdUnitPath();
+}
+
+/**
+ * Generate systemd unit content
+ * Restart=on-failure restarts on non-zero exit, like the plist's
+ * KeepAlive/SuccessfulExit=false
+ * @returns {string} Unit file content
+ */
+function generateUnit() {
+  const { service } = manifest.getManifest();
+  const serverPath = paths.getServerPath();
+  const bunPath = paths.getBunPath();
+  const logPath = paths.getLogPath('linux');
+
+  return `[Unit]
+Description=${service.displayName}
+
+[Service]
+Type=simple
+ExecStart=${bunPath} run ${serverPath}
+WorkingDirectory=${paths.getInstallPath()}
+Restart=on-failure
+StandardOutput=append:${logPath}
+StandardError=append:${logPath}
+Environment=HOME=${os.homedir()}
+Environment=PATH=/usr/local/bin:/usr/bin:/bin:/usr/sbin:/sbin:${os.homedir()}/.bun/bin
+
+[Install]
+WantedBy=default.target
+`;
+}
+
+/**
+ * Generate systemd unit content with enhanced service mode features
+ * Same crash-restart semantics as generateServiceModePlist(): restart on
+ * failure or crash, throttled to one restart per 10 seconds, separate logs
+ * @returns {string} Unit file content
+ */
+function generateServiceModeUnit() {
+  const { service } = manifest.getManifest();
+  const serverPath = paths.getServerPath();
+  const bunPath = paths.getBunPath();
+  const stdoutLogPath = paths.getStdoutLogPath();
+  const stderrLogPath = paths.getStderrLogPath();
+
+  return `[Unit]
+Description=${service.displayName}
+StartLimitIntervalSec=0
+
+[Service]
+Type=simple
+ExecStart=${bunPath} run ${serverPath}
+WorkingDirectory=${paths.getInstallPath()}
+Restart=on-failure
+RestartSec=10
+StandardOutput=append:${stdoutLogPath}
+StandardError=append:${stderrLogPath}
+Environment=HOME=${os.homedir()}
+Environment=PATH=/usr/local/bin:/usr/bin:/bin:/usr/sbin:/sbin:${os.homedir()}/.bun/bin
+Environment=PORT=${service.port}
+
+[Install]
+WantedBy=default.target
+`;
+}
+
+/**
+ * Create systemd unit file
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - If true, don't actually create
+ * @param {boolean} options.serviceMode - If true, use enhanced service mode
+ * @returns {boolean} True if created
+ */
+function create(options = {}) {
+  const { dryRun = false, serviceMode = false } = options;
+  const unitPath = getDefinitionPath();
+
+  const mode = serviceMode ? 'service mode' : 'standard mode';
+  logger.verbose(`Creating systemd unit (${mode}): ${unitPath}`);
+
+  if (dryRun) {
+    logger.verbose(`  [DRY RUN] Would create unit file in ${mode}`);
+    return true;
+  }
+
+  try {
+    // Ensure unit and log directories exist
+    const logDir = serviceMode ? paths.getLogsDir() : path.dirname(paths.getLogPath('linux'));
+    for (const dir of [path.dirname(unitPath), logDir]) {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    }
+
+    // Write unit file
+    const unitContent = serviceMode ? generateServiceModeUnit() : generateUnit();
+    fs.writeFileSync(unitPath, unitContent, 'utf8');
+
+    // Pick up the new or changed unit
+    exec('systemctl --user daemon-reload', { silent: true, ignoreError: true });
+
+    return true;
+  } catch (error) {
+    throw new Error(`Failed to create unit file: ${error.message}`);
+  }
+}
+
+/**
+ * Remove systemd unit file
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - If true, don't actually remove
+ * @returns {boolean} True if removed
+ */
+function remove(options = {}) {
+  const { dryRun = false } = options;
+  const unitPath = getDefinitionPath();
+
+  if (!fs.existsSync(unitPath)) {
+    return false;
+  }
+
+  logger.verbose(`Removing systemd unit: ${unitPath}`);
+
+  if (dryRun) {
+    logger.verbose('  [DRY RUN] Would remove unit file');
+    return true;
+  }
+
+  try {
+    fs.unlinkSync(unitPath);
+    exec('systemctl --user daemon-reload', { silent: true, ignoreError: true });
+    return true;
+  } catch (error) {
+    throw new Error(`Failed to remove unit file: ${error.message}`);
+  }
+}
+
+/**
+ * Enable and start the unit (start service)
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - If true, don't actually load
+ * @returns {boolean} True if loaded
+ */
+function load(options = {}) {
+  const { dryRun = false } = options;
+  const unitPath = getDefinitionPath();
+
+  if (!fs.existsSync(unitPath)) {
+    throw new Error('systemd unit not found. Run install first.');
+  }
+
+  logger.verbose(`Starting systemd unit: ${getUnitName()}`);
+
+  if (dryRun) {
+    logger.verbose('  [DRY RUN] Would enable and start unit');
+    return true;
+  }
+
+  const result = exec(`systemctl --user enable --now ${getUnitName()}`, { silent: true, ignoreError: true });
+  if (!result.success) {
+    throw new Error(`Failed to start unit: ${(result.stderr || result.error.message).trim()}`);
+  }
+
+  return true;
+}
+
+/**
+ * Stop and disable the unit (stop service)
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - If true, don't actually unload
+ * @returns {boolean} True if unloaded
+ */
+function unload(options = {}) {
+  const { dryRun = false } = options;
+  const unitPath = getDefinitionPath();
+
+  if (!fs.existsSync(unitPath)) {
+    logger.verbose('systemd unit not found (already removed?)');
+    return false;
+  }
+
+  logger.verbose(`Stopping systemd unit: ${getUnitName()}`);
+
+  if (dryRun) {
+    logger.verbose('  [DRY RUN] Would stop and disable unit');
+    return true;
+  }
+
+  // Stopping an inactive unit is not an error
+  exec(`systemctl --user disable --now ${getUnitName()}`, { silent: true, ignoreError: true });
+  return true;
+}
+
+/**
+ * Check if unit is active (or starting)
+ * @returns {boolean} True if loaded
+ */
+function isLoaded() {
+  const state = execOutput(`systemctl --user is-active ${getUnitName()}`, { ignoreError: true });
+  return state === 'active' || state === 'activating';
+}
+
+/**
+ * Check if service is running (health check)
+ * @returns {Promise<boolean>} True if running
+ */
+async function isRunning() {
+  const { service } = manifest.getManifest();
+
+  try {
+    const healthCheck = execOutput(
+      `curl -s -f -m 2 http://localhost:${service.port}/health`,
+      { ignoreError: true }
+    );
+
+    return !!healthCheck && healthCheck.includes('healthy');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get service status
+ * @returns {object} Status information
+ */
+async function getStatus() {
+  const loaded = isLoaded();
+  const running = await isRunning();
+  const definitionExists = fs.existsSync(getDefinitionPath());
+
+  return {
+    loaded,
+    running,
+    definitionExists,
+    status: running ? 'running' : (loaded ? 'loaded but not responding' : 'stopped')
+  };
+}
+
+/**
+ * Get the log files the installed unit writes to
+ * A service mode unit (see generateServiceModeUnit()) has separate stdout and
+ * stderr logs; otherwise output goes to the one combined log
+ * @returns {string[]} Log file paths
+ */
+function getLogPaths() {
+  const unitPath = getDefinitionPath();
+  const unit = fs.existsSync(unitPath) ? fs.readFileSync(unitPath, 'utf8') : '';
+
+  if (unit.includes(`StandardOutput=append:${paths.getStdoutLogPath()}`)) {
+    return [paths.getStdoutLogPath(), paths.getStderrLogPath()];
+  }
+  return [paths.getLogPath('linux')];
+}
+
+/**
+ * Get log file content (last N lines)
+ * In service mode both logs are shown, each under a tail header
+ * @param {number} lines - Number of lines to retrieve
+ * @returns {string} Log content
+ */
+function getLogs(lines = 50) {
+  const logPaths = getLogPaths().filter(logPath => fs.existsSync(logPath));
+
+  if (logPaths.length === 0) {
+    return 'No log file found';
+  }
+
+  try {
+    return execOutput(`tail -n ${lines} ${logPaths.map(logPath => `"${logPath}"`).join(' ')}`);
+  } catch (error) {
+    return `Failed to read logs: ${error.message}`;
+  }
+}
+
+/**
+ * Wait for service to start
+ * @param {number} timeout - Timeout in seconds
+ * @returns {Promise<boolean>} True if service started
+ */
+async function waitForStart(timeout = 10) {
+  const startTime = Date.now();
+  const timeoutMs = timeout * 1000;
+
+  while (Date.now() - startTime < timeoutMs) {
+    if (await isRunning()) {
+      return true;
+    }
+    await sleep(1000);
+  }
+
+  return false;
+}
+
+module.exports = {
+  name,
+  displayName,
+  getUnitName,
+  getDefinitionPath,
+  generateUnit,
+  generateServiceModeUnit,
+  create,
+  remove,
+  load,
+  unload,
+  isLoaded,
+  isRunning,
+  getStatus,
+  getLogs,
+  waitForStart
+};
@@ -58,10 +58,11 @@ function exec(command, options = {}) {
  * Execute a command and return output as string
  * @param {string} command - The command to execute
  * @param {object} options - Execution options
+ * @param {string} options.input - Text written to the command's stdin
  * @returns {string} Command output
  */
 function execOutput(command, options = {}) {
-  const { dryRun = false, ignoreError = false } = options;
+  const { dryRun = false, ignoreError = false, input } = options;
 
   logger.verbose(`Executing: ${command}`);
 
@@ -73,7 +74,8 @@ function execOutput(command, options = {}) {
   try {
     const output = execSync(command, {
       encoding: 'utf8',
-      stdio: 'pipe'
+      stdio: 'pipe',
+      input
     });
 
     return output.trim();
@@ -18,7 +18,8 @@ const DIST_DIR = path.join(SETUP_ROOT, 'dist');
 // Files to bundle from project root
 const FILES_TO_BUNDLE = [
   { source: 'server.ts', target: 'server.ts' },
-  { source: 'voices.json', target: 'voices.json' }
+  { source: 'voices.json', target: 'voices.json' },
+  { source: 'lexicon.json', target: 'lexicon.json' }
 ];
 
 // ANSI color codes for output
@@ -0,0 +1,114 @@
+/**
+ * Integration tests for the synthesized audio cache
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer, startElevenLabsStub } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+/**
+ * Read the cache section of /health
+ * @param {object} server - Server handle
+ * @returns {Promise<object>} Cache status
+ */
+async function cacheStatus(server) {
+  return (await (await fetch(`${server.baseUrl}/health`)).json()).cache;
+}
+
+describeWithBun('Audio cache', () => {
+  let server;
+  let elevenLabs;
+
+  /**
+   * Notify and return how many requests reached ElevenLabs for it
+   * @param {object} body - Request body
+   * @returns {Promise<number>} Upstream requests
+   */
+  async function upstreamRequests(body) {
+    const before = elevenLabs.requests.length;
+    expect((await server.post('/notify', body)).status).toBe(200);
+    return elevenLabs.requests.length - before;
+  }
+
+  beforeAll(async() => {
+    elevenLabs = await startElevenLabsStub();
+    server = await startServer({
+      TTS_PROVIDERS: 'elevenlabs',
+      ELEVENLABS_API_KEY: 'test-key',
+      ELEVENLABS_API_URL: elevenLabs.url,
+      AUDIO_CACHE: 'true'
+    });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+    if (elevenLabs) elevenLabs.close();
+  });
+
+  it('should synthesize a message once and serve repeats from the cache', async() => {
+    expect(await upstreamRequests({ message: 'Build finished.' })).toBe(1);
+    expect(await upstreamRequests({ message: 'Build finished.' })).toBe(0);
+
+    expect(await cacheStatus(server)).toMatchObject({ enabled: true, entries: 1, hits: 1, misses: 1 });
+  });
+
+  it('should key entries on the voice and speech settings', async() => {
+    expect(await upstreamRequests({ message: 'Tests passed.' })).toBe(1);
+    expect(await upstreamRequests({ message: 'Tests passed.', voice_id: 'otherVoice' })).toBe(1);
+    expect(await upstreamRequests({ message: 'Tests passed.', stability: 0.9 })).toBe(1);
+    expect(await upstreamRequests({ message: 'Tests passed.', output_format: 'mp3_22050_32' })).toBe(1);
+
+    expect(await upstreamRequests({ message: 'Tests passed.', voice_id: 'otherVoice' })).toBe(0);
+    expect(await upstreamRequests({ message: 'Tests passed.', stability: 0.9 })).toBe(0);
+  });
+
+  it('should keep the clip when identical misses finish together', async() => {
+    const before = await cacheStatus(server);
+    elevenLabs.script.push('slow', 'slow');
+
+    const responses = await Promise.all([
+      server.post('/notify', { message: 'Twice at once.' }),
+      server.post('/notify', { message: 'Twice at once.' })
+    ]);
+    expect(responses.map(response => response.status)).toEqual([200, 200]);
+    expect(await upstreamRequests({ message: 'Twice at once.' })).toBe(0);
+
+    const after = await cacheStatus(server);
+    expect(after.entries).toBe(before.entries + 1);
+    expect(after.size_bytes).toBe(before.size_bytes + 'MP3:Twice at once.'.length);
+  });
+});
+
+describeWithBun('Audio cache eviction', () => {
+  let server;
+  let elevenLabs;
+
+  beforeAll(async() => {
+    elevenLabs = await startElevenLabsStub();
+    // Room for one short clip ("MP3:<text>") but not two
+    server = await startServer({
+      TTS_PROVIDERS: 'elevenlabs',
+      ELEVENLABS_API_KEY: 'test-key',
+      ELEVENLABS_API_URL: elevenLabs.url,
+      AUDIO_CACHE: 'true',
+      AUDIO_CACHE_MAX_MB: String(30 / 1024 / 1024)
+    });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+    if (elevenLabs) elevenLabs.close();
+  });
+
+  it('should evict the least recently used clip past the size cap', async() => {
+    for (const message of ['First clip.', 'Second clip.', 'First clip.']) {
+      expect((await server.post('/notify', { message })).status).toBe(200);
+    }
+
+    expect(elevenLabs.requests.map(request => request.text)).toEqual(['First clip.', 'Second clip.', 'First clip.']);
+    const cache = await cacheStatus(server);
+    expect(cache).toMatchObject({ entries: 1, hits: 0, misses: 3 });
+    expect(cache.size_bytes).toBeLessThanOrEqual(30);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Integration tests for API authentication with the install token
+ * Skipped when Bun is not installed
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hasBun, startServer } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+const TOKEN = crypto.randomBytes(32).toString('hex');
+
+describeWithBun('API authentication', () => {
+  let server;
+  let tokenDir;
+
+  /**
+   * POST a notification with extra headers
+   * @param {object} headers - Request headers
+   * @param {string} body - Raw request body
+   * @returns {Promise<Response>} Response
+   */
+  function notify(headers, body = JSON.stringify({ message: 'Authenticated.', voice_enabled: false })) {
+    return fetch(`${server.baseUrl}/notify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body
+    });
+  }
+
+  /**
+   * HMAC signature headers for a body
+   * @param {string} body - Raw request body
+   * @param {number} timestamp - Unix seconds
+   * @param {string} key - Signing key
+   * @returns {object} X-PAI-Timestamp and X-PAI-Signature headers
+   */
+  function sign(body, timestamp = Math.floor(Date.now() / 1000), key = TOKEN) {
+    const signature = crypto.createHmac('sha256', key).update(`${timestamp}.${body}`).digest('hex');
+    return { 'X-PAI-Timestamp': String(timestamp), 'X-PAI-Signature': `sha256=${signature}` };
+  }
+
+  beforeAll(async() => {
+    tokenDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pai-auth-'));
+    const tokenFile = path.join(tokenDir, 'auth-token');
+    fs.writeFileSync(tokenFile, TOKEN, { mode: 0o600 });
+    server = await startServer({ AUTH_TOKEN_FILE: tokenFile, AUTH_MAX_SKEW_SECONDS: '60' });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+    if (tokenDir) fs.rmSync(tokenDir, { recursive: true, force: true });
+  });
+
+  it('should leave /health open', async() => {
+    expect((await fetch(`${server.baseUrl}/health`)).status).toBe(200);
+  });
+
+  it('should reject requests without credentials', async() => {
+    const response = await notify({});
+    expect(response.status).toBe(401);
+    expect((await response.json()).message).toBe('Authentication required');
+  });
+
+  it('should accept the bearer token and reject a wrong one', async() => {
+    expect((await notify({ Authorization: `Bearer ${TOKEN}` })).status).toBe(200);
+    expect((await notify({ Authorization: 'Bearer wrong' })).status).toBe(401);
+  });
+
+  it('should accept a valid signature once', async() => {
+    const body = JSON.stringify({ message: 'Signed.', voice_enabled: false });
+    const headers = sign(body);
+
+    expect((await notify(headers, body)).status).toBe(200);
+
+    const replayed = await notify(headers, body);
+    expect(replayed.status).toBe(401);
+    expect((await replayed.json()).message).toBe('Signature already used');
+  });
+
+  it('should reject a bad signature', async() => {
+    const body = JSON.stringify({ message: 'Forged.', voice_enabled: false });
+
+    const wrongKey = await notify(sign(body, undefined, 'not-the-token'), body);
+    expect(wrongKey.status).toBe(401);
+    expect((await wrongKey.json()).message).toBe('Invalid signature');
+
+    const tampered = await notify(sign(body), body.replace('Forged', 'Changed'));
+    expect(tampered.status).toBe(401);
+  });
+
+  it('should reject a stale timestamp', async() => {
+    const body = JSON.stringify({ message: 'Late.', voice_enabled: false });
+    const response = await notify(sign(body, Math.floor(Date.now() / 1000) - 120), body);
+
+    expect(response.status).toBe(401);
+    expect((await response.json()).message).toBe('Signature timestamp expired or invalid');
+  });
+});
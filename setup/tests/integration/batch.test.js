@@ -0,0 +1,109 @@
+/**
+ * Integration tests for POST /notify/batch
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer, startElevenLabsStub } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('POST /notify/batch', () => {
+  let server;
+
+  beforeAll(async() => {
+    server = await startServer({
+      RATE_LIMIT_ROUTES: '/notify/batch=2/60',
+      AUDIO_PLAYER: 'pai-test-player {file}'
+    });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  it('should reject the whole batch when any item is invalid', async() => {
+    const response = await server.post('/notify/batch', {
+      notifications: [
+        { message: 'First agent done.' },
+        { message: 'Second agent done.', priority: 'loud' },
+        { message: 'Third agent done.', voice_name: 'nobody' }
+      ]
+    });
+    expect(response.status).toBe(400);
+
+    const body = await response.json();
+    expect(body.message).toBe('Invalid batch: 2 of 3 notifications failed validation');
+    expect(body.results[0]).toEqual({ status: 'valid' });
+    expect(body.results[1].message).toContain('Invalid priority');
+    expect(body.results[2].message).toContain('Invalid voice_name');
+    expect(server.readLines('spoken.log')).toEqual([]);
+    expect(server.readLines('notifications.log')).toEqual([]);
+  });
+
+  it('should play items in order even when earlier ones synthesize slower', async() => {
+    const response = await server.post('/notify/batch', [
+      { title: 'Researcher', message: 'Research is slow but done.', voice_name: 'researcher' },
+      { title: 'Engineer', message: 'Build finished.', voice_name: 'engineer' },
+      { title: 'Writer', message: 'Draft ready.', voice_enabled: false }
+    ]);
+    expect(response.status).toBe(200);
+
+    const body = await response.json();
+    expect(body.message).toBe('3 of 3 notifications sent');
+    expect(body.results.map(result => [result.status, result.persona, result.speech])).toEqual([
+      ['success', 'researcher', 'played'],
+      ['success', 'engineer', 'played'],
+      ['success', null, 'disabled']
+    ]);
+
+    expect(server.readLines('played.log')).toEqual(['Research is slow but done.', 'Build finished.']);
+    const titles = server.readLines('notifications.log').filter(line => line.includes('\x1f')).map(line => line.split('\x1f')[0]);
+    expect(titles).toEqual(['Researcher', 'Engineer', 'Writer']);
+
+    const { entries } = await (await fetch(`${server.baseUrl}/history?limit=3`)).json();
+    expect(entries.map(entry => entry.route)).toEqual(['/notify/batch', '/notify/batch', '/notify/batch']);
+  });
+
+  it('should count the batch as one request against the rate limit', async() => {
+    // Both earlier batches used one token each from a limit of 2
+    const response = await server.post('/notify/batch', [{ message: 'One more.' }]);
+    expect(response.status).toBe(429);
+  });
+});
+
+describeWithBun('POST /notify/batch synthesis concurrency', () => {
+  let elevenLabs;
+
+  beforeAll(async() => {
+    elevenLabs = await startElevenLabsStub();
+  });
+
+  afterAll(() => {
+    if (elevenLabs) elevenLabs.close();
+  });
+
+  it.each([1, 2])('should keep at most SPEECH_CONCURRENCY=%d requests in flight across items', async concurrency => {
+    const server = await startServer({
+      TTS_PROVIDERS: 'elevenlabs',
+      ELEVENLABS_API_KEY: 'test-key',
+      ELEVENLABS_API_URL: elevenLabs.url,
+      SPEECH_CONCURRENCY: String(concurrency)
+    });
+    try {
+      elevenLabs.maxActive = 0;
+      elevenLabs.script.push('slow', 'slow', 'slow', 'slow');
+
+      const response = await server.post('/notify/batch', [
+        { message: 'First agent done.' },
+        { message: 'Second agent done.' },
+        { message: 'Third agent done.' },
+        { message: 'Fourth agent done.' }
+      ]);
+      expect(response.status).toBe(200);
+      expect((await response.json()).message).toBe('4 of 4 notifications sent');
+      expect(elevenLabs.maxActive).toBe(concurrency);
+    } finally {
+      server.stop();
+    }
+  }, 15000);
+});
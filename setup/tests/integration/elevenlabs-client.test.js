@@ -0,0 +1,99 @@
+/**
+ * Integration tests for ElevenLabs timeouts, retries and the circuit breaker
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer, startElevenLabsStub } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('ElevenLabs client', () => {
+  let server;
+  let elevenLabs;
+
+  /**
+   * Send a notification and report which provider spoke it
+   * @param {string} message - Message text
+   * @returns {Promise<string|null>} Provider from the history entry
+   */
+  async function notify(message) {
+    expect((await server.post('/notify', { message })).status).toBe(200);
+    const { entries } = await (await fetch(`${server.baseUrl}/history?limit=1`)).json();
+    return entries[0].speech.provider;
+  }
+
+  /**
+   * Read the ElevenLabs circuit breaker from /health
+   * @returns {Promise<object>} Breaker status
+   */
+  async function breaker() {
+    const health = await (await fetch(`${server.baseUrl}/health`)).json();
+    return health.tts.circuit_breakers.elevenlabs;
+  }
+
+  beforeAll(async() => {
+    elevenLabs = await startElevenLabsStub();
+    server = await startServer({
+      TTS_PROVIDERS: 'elevenlabs,local',
+      ELEVENLABS_API_KEY: 'test-key',
+      ELEVENLABS_API_URL: elevenLabs.url,
+      ELEVENLABS_CONNECT_TIMEOUT_MS: '300',
+      ELEVENLABS_TIMEOUT_MS: '600',
+      ELEVENLABS_MAX_RETRIES: '2',
+      ELEVENLABS_RETRY_BASE_MS: '10',
+      CIRCUIT_BREAKER_THRESHOLD: '3',
+      CIRCUIT_BREAKER_COOLDOWN_SECONDS: '1'
+    });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+    if (elevenLabs) elevenLabs.close();
+  });
+
+  it('should retry 429 and 5xx responses', async() => {
+    elevenLabs.script = [429, 503];
+    elevenLabs.requests.length = 0;
+
+    expect(await notify('Retried.')).toBe('elevenlabs');
+    expect(elevenLabs.requests).toHaveLength(3);
+    expect(await breaker()).toEqual({ state: 'closed', consecutive_failures: 0 });
+  });
+
+  it('should not retry other client errors', async() => {
+    elevenLabs.script = [401];
+    elevenLabs.requests.length = 0;
+
+    expect(await notify('Unauthorized.')).toBe('local');
+    expect(elevenLabs.requests).toHaveLength(1);
+    expect(await breaker()).toMatchObject({ state: 'closed', consecutive_failures: 1 });
+  });
+
+  it('should time out a response that does not start or does not finish', async() => {
+    elevenLabs.script = ['hang', 'hang', 'hang'];
+    elevenLabs.requests.length = 0;
+    expect(await notify('Hanging.')).toBe('local');
+    expect(elevenLabs.requests).toHaveLength(3);
+
+    elevenLabs.script = ['stall'];
+    elevenLabs.requests.length = 0;
+    expect(await notify('Stalled.')).toBe('local');
+    expect(elevenLabs.requests).toHaveLength(1);
+  }, 10000);
+
+  it('should skip the provider while the breaker is open, then close it after a trial', async() => {
+    const open = await breaker();
+    expect(open.state).toBe('open');
+    expect(open.consecutive_failures).toBe(3);
+    expect(open.retry_at).toBeDefined();
+
+    elevenLabs.requests.length = 0;
+    expect(await notify('Skipped.')).toBe('local');
+    expect(elevenLabs.requests).toHaveLength(0);
+
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    expect(await notify('Trial.')).toBe('elevenlabs');
+    expect(elevenLabs.requests).toHaveLength(1);
+    expect((await breaker()).state).toBe('closed');
+  }, 10000);
+});
@@ -0,0 +1,150 @@
+/**
+ * Integration tests for notification history: GET /history and pruning
+ * Skipped when Bun is not installed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { hasBun, startServer } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+/**
+ * GET /history with query parameters
+ * @param {object} server - Server handle
+ * @param {object} params - Query parameters
+ * @returns {Promise<Response>} Response
+ */
+function getHistory(server, params = {}) {
+  return fetch(`${server.baseUrl}/history?${new URLSearchParams(params)}`);
+}
+
+describeWithBun('Notification history', () => {
+  let server;
+  let startedAt;
+
+  beforeAll(async() => {
+    server = await startServer();
+    startedAt = Date.now();
+    for (const body of [
+      { title: 'Build', message: 'Deploy started', voice_name: 'engineer' },
+      { title: 'Research', message: 'Paper summary ready', voice_name: 'researcher' },
+      { title: 'Build', message: 'Deploy finished (100%)', voice_name: 'engineer' },
+      { message: 'Plain message', voice_id: 'customVoice' }
+    ]) {
+      expect((await server.post('/notify', { ...body, voice_enabled: false })).status).toBe(200);
+    }
+    expect((await server.post('/notify', { message: 'Rejected', voice_name: 'nobody' })).status).toBe(400);
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  it('should list entries newest first, including rejected requests', async() => {
+    const { total, entries } = await (await getHistory(server)).json();
+    expect(total).toBe(5);
+    expect(entries.map(entry => entry.message)).toEqual([
+      'Rejected', 'Plain message', 'Deploy finished (100%)', 'Paper summary ready', 'Deploy started'
+    ]);
+    expect(entries[0].error).toContain('Invalid voice_name');
+    expect(entries[1]).toMatchObject({ route: '/notify', voice: 'customVoice', voice_id: 'customVoice' });
+    expect(entries[1].notification).toMatchObject({ backend: 'notify-send', delivered: true });
+  });
+
+  it('should filter by voice and text', async() => {
+    const byPersona = await (await getHistory(server, { voice: 'engineer' })).json();
+    expect(byPersona.entries.map(entry => entry.message)).toEqual(['Deploy finished (100%)', 'Deploy started']);
+
+    const byVoiceId = await (await getHistory(server, { voice: 'customVoice' })).json();
+    expect(byVoiceId.total).toBe(1);
+
+    const search = await (await getHistory(server, { q: 'deploy', voice: 'engineer' })).json();
+    expect(search.total).toBe(2);
+
+    // LIKE wildcards are matched literally
+    const literal = await (await getHistory(server, { q: '100%' })).json();
+    expect(literal.entries.map(entry => entry.message)).toEqual(['Deploy finished (100%)']);
+    expect((await (await getHistory(server, { q: '_' })).json()).total).toBe(0);
+  });
+
+  it('should filter by time', async() => {
+    const future = new Date(Date.now() + 60000).toISOString();
+    expect((await (await getHistory(server, { since: future })).json()).total).toBe(0);
+    expect((await (await getHistory(server, { until: String(startedAt - 60000) })).json()).total).toBe(0);
+    expect((await (await getHistory(server, { since: String(startedAt - 60000), until: future })).json()).total).toBe(5);
+  });
+
+  it('should page with limit and offset', async() => {
+    const page = await (await getHistory(server, { limit: 2, offset: 1 })).json();
+    expect(page).toMatchObject({ total: 5, limit: 2, offset: 1 });
+    expect(page.entries.map(entry => entry.message)).toEqual(['Plain message', 'Deploy finished (100%)']);
+  });
+
+  it.each([
+    [{ limit: 0 }, 'Invalid limit'],
+    [{ limit: 501 }, 'Invalid limit'],
+    [{ offset: -1 }, 'Invalid offset'],
+    [{ since: 'yesterday' }, 'Invalid since']
+  ])('should reject %j with a 400', async(params, error) => {
+    const response = await getHistory(server, params);
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toContain(error);
+  });
+});
+
+describeWithBun('Notification history pruning', () => {
+  let dir;
+  let historyDb;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pai-history-'));
+    historyDb = path.join(dir, 'history.db');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should drop entries past the retention and beyond the maximum at startup', async() => {
+    const first = await startServer({ HISTORY_DB: historyDb });
+    try {
+      for (let i = 1; i <= 5; i++) {
+        expect((await first.post('/notify', { message: `Entry ${i}`, voice_enabled: false })).status).toBe(200);
+      }
+    } finally {
+      first.stop();
+    }
+
+    // Age the first entry by two days
+    spawnSync('bun', ['-e', `
+      const { Database } = require('bun:sqlite');
+      new Database(process.env.HISTORY_DB).run("UPDATE notifications SET received_at = received_at - 172800000 WHERE message = 'Entry 1'");
+    `], { env: { ...process.env, HISTORY_DB: historyDb } });
+
+    const second = await startServer({ HISTORY_DB: historyDb, HISTORY_RETENTION_DAYS: '1', HISTORY_MAX_ENTRIES: '3' });
+    try {
+      const { total, entries } = await (await getHistory(second)).json();
+      expect(total).toBe(3);
+      expect(entries.map(entry => entry.message)).toEqual(['Entry 5', 'Entry 4', 'Entry 3']);
+
+      const health = await (await fetch(`${second.baseUrl}/health`)).json();
+      expect(health.history).toMatchObject({ enabled: true, entries: 3, retention_days: 1, max_entries: 3 });
+    } finally {
+      second.stop();
+    }
+  }, 20000);
+
+  it('should answer 404 when history is disabled', async() => {
+    const server = await startServer({ HISTORY: 'false' });
+    try {
+      const response = await getHistory(server);
+      expect(response.status).toBe(404);
+      expect((await response.json()).message).toBe('Notification history is disabled');
+    } finally {
+      server.stop();
+    }
+  }, 15000);
+});
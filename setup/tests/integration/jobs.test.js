@@ -0,0 +1,97 @@
+/**
+ * Integration tests for asynchronous /notify and GET /jobs/:id
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('Asynchronous notifications', () => {
+  let server;
+
+  /**
+   * Poll a job until it finishes
+   * @param {string} id - Job ID
+   * @returns {Promise<object>} Finished job and the statuses seen on the way
+   */
+  async function waitForJob(id) {
+    const seen = [];
+    for (;;) {
+      const response = await fetch(`${server.baseUrl}/jobs/${id}`);
+      expect(response.status).toBe(200);
+      const job = await response.json();
+      if (seen.at(-1) !== job.status) seen.push(job.status);
+      if (job.status === 'done' || job.status === 'failed') return { job, seen };
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  beforeAll(async() => {
+    server = await startServer({
+      AUDIO_PLAYER: 'pai-test-player {file}',
+      PAI_TEST_PLAY_SECONDS: '0.5'
+    });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  it('should answer 202 at once and report progress until done', async() => {
+    const startedAt = Date.now();
+    const response = await server.post('/notify', { message: 'Async message.', voice_name: 'engineer', async: true });
+    expect(Date.now() - startedAt).toBeLessThan(400);
+    expect(response.status).toBe(202);
+
+    const body = await response.json();
+    expect(body).toMatchObject({ status: 'accepted', persona: 'engineer' });
+    expect(response.headers.get('location')).toBe(`/jobs/${body.job_id}`);
+
+    const { job, seen } = await waitForJob(body.job_id);
+    expect(seen).toContain('playing');
+    expect(seen.at(-1)).toBe('done');
+    expect(job.speech).toEqual({ status: 'played', provider: 'local' });
+    expect(job.notification.delivered).toBe(true);
+    expect(job.timings.playback_ms).toBeGreaterThanOrEqual(400);
+    expect(job.timings.total_ms).toBeGreaterThanOrEqual(job.timings.playback_ms);
+    expect(job.playback_started_at).not.toBeNull();
+    expect(job.error).toBeNull();
+
+    const { entries } = await (await fetch(`${server.baseUrl}/history?limit=1`)).json();
+    expect(entries[0].message).toBe('Async message.');
+  }, 10000);
+
+  it('should honour Prefer: respond-async', async() => {
+    const response = await fetch(`${server.baseUrl}/notify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Prefer': 'respond-async, wait=10' },
+      body: JSON.stringify({ message: 'Preferred async.' })
+    });
+    expect(response.status).toBe(202);
+    expect(response.headers.get('preference-applied')).toBe('respond-async');
+
+    const { job } = await waitForJob((await response.json()).job_id);
+    expect(job.status).toBe('done');
+  }, 10000);
+
+  it('should report a failed job with its error', async() => {
+    const response = await server.post('/notify', { message: 'This is unspeakable.', async: true });
+    expect(response.status).toBe(202);
+
+    const { job } = await waitForJob((await response.json()).job_id);
+    expect(job.status).toBe('failed');
+    expect(job.speech.status).toBe('failed');
+    expect(job.error).toContain('All TTS providers failed');
+  }, 10000);
+
+  it('should still validate before accepting', async() => {
+    const response = await server.post('/notify', { message: 'Hi', priority: 'loud', async: true });
+    expect(response.status).toBe(400);
+  });
+
+  it('should return 404 for an unknown job', async() => {
+    const response = await fetch(`${server.baseUrl}/jobs/no-such-job`);
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Integration tests for the pronunciation lexicon
+ * Skipped when Bun is not installed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hasBun, startServer } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('Pronunciation lexicon', () => {
+  let server;
+  let lexiconPath;
+
+  /**
+   * Replace the lexicon file, moving its mtime so the server notices
+   * @param {object} lexicon - Lexicon contents
+   */
+  function writeLexicon(lexicon) {
+    fs.writeFileSync(lexiconPath, JSON.stringify(lexicon));
+    const mtime = new Date(Date.now() + Math.random() * 100000);
+    fs.utimesSync(lexiconPath, mtime, mtime);
+  }
+
+  /**
+   * Notify and return the text the TTS engine received
+   * @param {object} body - Request body
+   * @returns {Promise<string>} Spoken text
+   */
+  async function speak(body) {
+    const response = await server.post('/notify', body);
+    expect(response.status).toBe(200);
+    return server.readLines('spoken.log').pop();
+  }
+
+  beforeAll(async() => {
+    server = await startServer();
+    lexiconPath = path.join(server.dir, 'lexicon.json');
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  it('should replace whole terms case-insensitively', async() => {
+    writeLexicon({ entries: { PAI: 'P A I', k8s: 'kubernetes', 'Node.js': 'node J S' } });
+
+    expect(await speak({ message: 'PAI deployed pai to k8s with Node.js, PAIN unchanged' }))
+      .toBe('P A I deployed P A I to kubernetes with node J S, PAIN unchanged.');
+  });
+
+  it('should apply per-persona overrides', async() => {
+    writeLexicon({
+      entries: { PAI: 'P A I', k8s: 'kubernetes' },
+      voices: { researcher: { PAI: 'pie', k8s: null } }
+    });
+
+    expect(await speak({ message: 'PAI runs k8s', voice_name: 'researcher' })).toBe('pie runs k8s.');
+    expect(await speak({ message: 'PAI runs k8s', voice_name: 'engineer' })).toBe('P A I runs kubernetes.');
+  });
+
+  it('should reload the file without a restart', async() => {
+    writeLexicon({ entries: { PAI: 'P A I' } });
+    expect(await speak({ message: 'Hello PAI' })).toBe('Hello P A I.');
+
+    writeLexicon({ entries: { PAI: 'Pai' } });
+    expect(await speak({ message: 'Hello PAI' })).toBe('Hello Pai.');
+
+    fs.unlinkSync(lexiconPath);
+    expect(await speak({ message: 'Hello PAI' })).toBe('Hello PAI.');
+  });
+});
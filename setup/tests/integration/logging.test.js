@@ -0,0 +1,37 @@
+/**
+ * Integration tests for what the server logs about requests
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('Request logging', () => {
+  let server;
+
+  beforeAll(async() => {
+    server = await startServer({ LOG_LEVEL: 'info', NOTIFIER: 'log' });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  it('should log client text as quoted fields that cannot forge entries', async() => {
+    const forged = '2026-01-05T10:00:00.000Z ERROR Forged entry';
+    const response = await server.post('/notify', {
+      title: `Build\n${forged}`,
+      message: `Done\r\n${forged}`
+    });
+    expect(response.status).toBe(200);
+
+    const lines = server.readLines('server.log');
+    expect(lines.filter(line => line.startsWith(forged))).toEqual([]);
+
+    const received = lines.find(line => line.includes('📨 Notification received'));
+    expect(received).toContain(`title=${JSON.stringify(`Build\n${forged}`)}`);
+    expect(received).toContain(`message=${JSON.stringify(`Done\r\n${forged}`)}`);
+    expect(lines.find(line => line.includes('🔔 Notification '))).toContain('title=');
+  });
+});
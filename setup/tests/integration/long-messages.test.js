@@ -0,0 +1,116 @@
+/**
+ * Integration tests for long messages spoken in sentence chunks
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+/**
+ * Build a message of numbered sentences
+ * @param {number} count - Number of sentences
+ * @param {string} word - Word included in each sentence
+ * @returns {string[]} Sentences
+ */
+function sentences(count, word = 'quick') {
+  return Array.from({ length: count }, (_, i) => `Sentence ${i + 1} is a ${word} one.`);
+}
+
+describeWithBun('Long messages', () => {
+  let server;
+
+  beforeAll(async() => {
+    server = await startServer({
+      MAX_MESSAGE_LENGTH: '2000',
+      SPEECH_CHUNK_SIZE: '100',
+      SPEECH_CONCURRENCY: '3',
+      AUDIO_PLAYER: 'pai-test-player {file}'
+    });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  it('should accept messages up to MAX_MESSAGE_LENGTH', async() => {
+    const accepted = await server.post('/notify', { message: 'a'.repeat(2000), voice_enabled: false });
+    expect(accepted.status).toBe(200);
+
+    const rejected = await server.post('/notify', { message: 'a'.repeat(2001), voice_enabled: false });
+    expect(rejected.status).toBe(400);
+    expect((await rejected.json()).message).toContain('max 2000 characters');
+  });
+
+  it('should split at sentence boundaries and play chunks in order', async() => {
+    const message = sentences(12).join(' ');
+    const played = server.readLines('played.log').length;
+
+    expect((await server.post('/notify', { message })).status).toBe(200);
+
+    const chunks = server.readLines('played.log').slice(played);
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.length).toBeLessThanOrEqual(100);
+      expect(chunk).toMatch(/^Sentence \d+ .*one\.$/);
+    }
+    expect(chunks.join(' ')).toBe(message);
+  });
+
+  it('should keep playback order when later chunks finish synthesis first', async() => {
+    const message = [...sentences(3, 'slow'), ...sentences(9).slice(3)].join(' ');
+    const played = server.readLines('played.log').length;
+
+    expect((await server.post('/notify', { message })).status).toBe(200);
+
+    expect(server.readLines('played.log').slice(played).join(' ')).toBe(message);
+  });
+
+  it('should split text without spaces between characters', async() => {
+    const message = '字'.repeat(250);
+    const played = server.readLines('played.log').length;
+
+    expect((await server.post('/notify', { message })).status).toBe(200);
+
+    const chunks = server.readLines('played.log').slice(played);
+    expect(chunks.map(chunk => Array.from(chunk).length)).toEqual([100, 100, 51]);
+  });
+});
+
+describeWithBun('Cancelling a long message', () => {
+  let server;
+
+  beforeAll(async() => {
+    server = await startServer({
+      SPEECH_CHUNK_SIZE: '60',
+      AUDIO_PLAYER: 'pai-test-player {file}',
+      PAI_TEST_PLAY_SECONDS: '0.5'
+    });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  it('should cancel every chunk of the message together', async() => {
+    const notification = server.post('/notify', { message: sentences(8).join(' ') });
+
+    let playing = null;
+    while (!playing) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      playing = (await (await fetch(`${server.baseUrl}/queue`)).json()).playing;
+    }
+    expect(playing.chunks.total).toBeGreaterThan(2);
+
+    const cancel = await fetch(`${server.baseUrl}/queue/${playing.id}`, { method: 'DELETE' });
+    expect(cancel.status).toBe(200);
+    expect((await notification).status).toBe(200);
+
+    const { entries } = await (await fetch(`${server.baseUrl}/history?limit=1`)).json();
+    expect(entries[0].speech.status).toBe('cancelled');
+    expect(server.readLines('played.log').length).toBeLessThan(playing.chunks.total);
+
+    const missing = await fetch(`${server.baseUrl}/queue/${playing.id}`, { method: 'DELETE' });
+    expect(missing.status).toBe(404);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Integration tests for the Prometheus /metrics endpoint
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer, startElevenLabsStub } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('GET /metrics', () => {
+  let elevenLabs;
+  let server;
+
+  /**
+   * Scrape /metrics
+   * @returns {Promise<string>} Exposition text
+   */
+  async function scrape() {
+    return (await fetch(`${server.baseUrl}/metrics`)).text();
+  }
+
+  beforeAll(async() => {
+    elevenLabs = await startElevenLabsStub();
+    server = await startServer({
+      TTS_PROVIDERS: 'elevenlabs',
+      ELEVENLABS_API_KEY: 'test-key',
+      ELEVENLABS_API_URL: elevenLabs.url
+    });
+
+    for (const body of [
+      { message: 'Default voice.' },
+      { message: 'Persona.', voice_name: 'researcher' },
+      { message: 'First custom.', voice_id: 'clientVoiceA1' },
+      { message: 'Second.', voice_id: 'clientVoiceB2' }
+    ]) {
+      expect((await server.post('/notify', body)).status).toBe(200);
+    }
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+    if (elevenLabs) elevenLabs.close();
+  });
+
+  it('should serve the Prometheus text format', async() => {
+    const response = await fetch(`${server.baseUrl}/metrics`);
+    expect(response.headers.get('content-type')).toContain('text/plain; version=0.0.4');
+    expect(await response.text()).toContain('# TYPE pai_synthesis_duration_seconds histogram');
+  });
+
+  it('should label voices by persona, default or custom, never by a client voice ID', async() => {
+    const metrics = await scrape();
+
+    expect(metrics).toContain('pai_elevenlabs_characters_total{voice="default"} 14');
+    expect(metrics).toContain('pai_elevenlabs_characters_total{voice="researcher"} 8');
+    expect(metrics).toContain('pai_elevenlabs_characters_total{voice="custom"} 20');
+    expect(metrics).toContain('pai_synthesis_duration_seconds_count{provider="elevenlabs",voice="custom"} 2');
+    expect(metrics).not.toContain('clientVoice');
+  });
+
+  it('should count requests by route and status, bounding unknown paths', async() => {
+    await fetch(`${server.baseUrl}/no-such-route/12345`);
+    const metrics = await scrape();
+
+    expect(metrics).toContain('pai_http_requests_total{route="/notify",status="200"} 4');
+    expect(metrics).toMatch(/pai_http_requests_total\{route="other",status="\d+"\} 1/);
+    expect(metrics).not.toContain('no-such-route');
+    expect(metrics).toContain('pai_playback_queue_depth 0');
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Integration tests for the desktop notifier backends
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+/**
+ * Arguments of each notifier call, as [command, ...args]
+ * @param {object} server - Server handle
+ * @returns {string[][]} Calls
+ */
+function notifierCalls(server) {
+  return server.readLines('notifier-args.log').map(line => line.split('\x1f'));
+}
+
+/**
+ * Send a notification without speech and return its delivery status
+ * @param {object} server - Server handle
+ * @param {object} body - Request body
+ * @returns {Promise<object>} Notification result
+ */
+async function notify(server, body) {
+  const response = await server.post('/notify', { voice_enabled: false, ...body });
+  expect(response.status).toBe(200);
+  return (await response.json()).notification;
+}
+
+describeWithBun('notify-send notifier', () => {
+  let server;
+
+  beforeAll(async() => {
+    server = await startServer();
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  it('should deliver a title and message that start with "-"', async() => {
+    expect(await notify(server, { title: '- Build', message: '- tests passed' })).toEqual({ backend: 'notify-send', delivered: true });
+    expect(server.readLines('notifications.log').pop()).toBe('- Build\x1f- tests passed');
+  });
+
+  it('should map priority to urgency and escape markup in the body', async() => {
+    await notify(server, { title: 'Deploy', message: 'a < b & c', priority: 'urgent' });
+    expect(notifierCalls(server).pop()).toEqual([
+      'notify-send', '--app-name=PAI Voice', '--urgency=critical', '--', 'Deploy', 'a &lt; b &amp; c'
+    ]);
+
+    await notify(server, { title: 'Later', message: 'Whenever.', priority: 'low' });
+    expect(notifierCalls(server).pop()).toContain('--urgency=low');
+  });
+
+  it('should report a failed delivery', async() => {
+    expect(await notify(server, { message: 'This is undeliverable.' })).toEqual({
+      backend: 'notify-send',
+      delivered: false,
+      error: 'notify-send exited with code 1'
+    });
+  });
+});
+
+describeWithBun('terminal-notifier and osascript notifiers', () => {
+  it('should pass terminal-notifier the title, message and click URL', async() => {
+    const server = await startServer({ NOTIFIER: 'terminal-notifier' });
+    try {
+      expect(await notify(server, { title: 'PR ready', message: '- review it', url: 'https://example.com/pr/1' }))
+        .toEqual({ backend: 'terminal-notifier', delivered: true });
+      expect(notifierCalls(server)).toEqual([[
+        'terminal-notifier', '-title', 'PR ready', '-message', '- review it', '-group', 'pai-voice-server',
+        '-open', 'https://example.com/pr/1'
+      ]]);
+    } finally {
+      server.stop();
+    }
+  }, 15000);
+
+  it('should quote the message and title in the osascript script', async() => {
+    const server = await startServer({ NOTIFIER: 'osascript' });
+    try {
+      await notify(server, { title: 'Say "hi"', message: 'C:\\temp done' });
+      expect(notifierCalls(server)).toEqual([[
+        'osascript', '-e', 'display notification "C:\\\\temp done" with title "Say \\"hi\\"" sound name ""'
+      ]]);
+    } finally {
+      server.stop();
+    }
+  }, 15000);
+});
+
+describeWithBun('Notifier selection', () => {
+  it.each([
+    ['auto', 'terminal-notifier'],
+    ['nonsense', 'terminal-notifier'],
+    ['log', 'log']
+  ])('should select a backend for NOTIFIER=%s', async(configured, backend) => {
+    const server = await startServer({ NOTIFIER: configured, LOG_LEVEL: 'warn' });
+    try {
+      const health = await (await fetch(`${server.baseUrl}/health`)).json();
+      expect(health.notifier).toBe(backend);
+      const warned = server.readLines('server.log').some(line => line.includes(`Unknown NOTIFIER "${configured}"`));
+      expect(warned).toBe(configured === 'nonsense');
+    } finally {
+      server.stop();
+    }
+  }, 15000);
+});
@@ -0,0 +1,73 @@
+/**
+ * Integration tests for voice_name personas and voice_id validation
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer, startElevenLabsStub } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('Voice personas', () => {
+  let elevenLabs;
+  let server;
+
+  beforeAll(async() => {
+    elevenLabs = await startElevenLabsStub();
+    server = await startServer({
+      TTS_PROVIDERS: 'elevenlabs',
+      ELEVENLABS_API_KEY: 'test-key',
+      ELEVENLABS_API_URL: elevenLabs.url
+    });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+    if (elevenLabs) elevenLabs.close();
+  });
+
+  it('should apply the persona voice, rate and description', async() => {
+    expect((await server.post('/notify', { message: 'Findings ready.', voice_name: 'Researcher' })).status).toBe(200);
+
+    // rate_wpm 236 is faster than ElevenLabs allows, so speed is capped at 1.2
+    expect(elevenLabs.requests.at(-1)).toMatchObject({
+      path: '/v1/text-to-speech/AXdMgz6evoL7OPd7eU12',
+      voiceSettings: { speed: 1.2 }
+    });
+    // The description is the first line of the notification body
+    expect(server.readLines('notifications.log').slice(-2)).toEqual([
+      'PAI Notification\x1fUS Female - Analytical, highest quality',
+      'Findings ready.'
+    ]);
+  });
+
+  it('should let an explicit speed win over the persona rate', async() => {
+    await server.post('/notify', { message: 'Slower.', voice_name: 'researcher', speed: 0.9 });
+    expect(elevenLabs.requests.at(-1).voiceSettings.speed).toBe(0.9);
+  });
+
+  it('should leave speed unset without a persona', async() => {
+    await server.post('/notify', { message: 'Plain.', voice_id: 'customVoice1' });
+    expect(elevenLabs.requests.at(-1).path).toBe('/v1/text-to-speech/customVoice1');
+    expect(elevenLabs.requests.at(-1).voiceSettings).not.toHaveProperty('speed');
+  });
+
+  it('should reject an unknown persona with the valid names', async() => {
+    const response = await server.post('/notify', { message: 'Hi.', voice_name: 'nobody' });
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toMatch(/^Invalid voice_name "nobody"\. Valid personas: pai, researcher, engineer/);
+  });
+
+  it.each([
+    '../../v1/user',
+    'voice id',
+    'a'.repeat(65),
+    42
+  ])('should reject voice_id %j with a 400', async voiceId => {
+    const requests = elevenLabs.requests.length;
+    const response = await server.post('/notify', { message: 'Hi.', voice_id: voiceId });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toBe('Invalid voice_id (expected 1-64 letters and digits)');
+    expect(elevenLabs.requests).toHaveLength(requests);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Integration tests for the audio player backends: detection order, command
+ * templates and missing players
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer, startElevenLabsStub } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+/**
+ * Arguments of each player run, as [command, ...args]
+ * @param {object} server - Server handle
+ * @returns {string[][]} Runs
+ */
+function playerRuns(server) {
+  return server.readLines('player-args.log').map(line => line.split('\x1f'));
+}
+
+/**
+ * Read the audio_player section of /health
+ * @param {object} server - Server handle
+ * @returns {Promise<object>} Player status
+ */
+async function playerStatus(server) {
+  return (await (await fetch(`${server.baseUrl}/health`)).json()).audio_player;
+}
+
+/**
+ * Send a notification and read back the speech outcome from history
+ * @param {object} server - Server handle
+ * @param {object} body - Request body
+ * @returns {Promise<object>} Speech status and error
+ */
+async function speak(server, body) {
+  expect((await server.post('/notify', body)).status).toBe(200);
+  const { entries } = await (await fetch(`${server.baseUrl}/history?limit=1`)).json();
+  return entries[0].speech;
+}
+
+describeWithBun('Audio player detection', () => {
+  it('should prefer afplay, as on macOS', async() => {
+    const server = await startServer({ AUDIO_PLAYER: 'auto' }, { players: ['mpv', 'afplay'] });
+    try {
+      expect(await playerStatus(server)).toEqual({ backend: 'afplay', detected: ['afplay', 'mpv'], stream_player: 'mpv' });
+
+      expect((await speak(server, { message: 'On a Mac.' })).status).toBe('played');
+      expect(playerRuns(server)).toEqual([['afplay', expect.stringMatching(/^\/tmp\/voice-[\w-]+\.aiff$/)]]);
+      expect(server.readLines('played.log')).toEqual(['On a Mac.']);
+    } finally {
+      server.stop();
+    }
+  }, 15000);
+
+  it('should pick the first player for each format, as on Linux', async() => {
+    const elevenLabs = await startElevenLabsStub();
+    const server = await startServer({
+      AUDIO_PLAYER: 'auto',
+      TTS_PROVIDERS: 'elevenlabs',
+      ELEVENLABS_API_KEY: 'test-key',
+      ELEVENLABS_API_URL: elevenLabs.url
+    }, { players: ['mpg123', 'aplay', 'paplay'] });
+    try {
+      expect(await playerStatus(server)).toEqual({
+        backend: 'paplay',
+        detected: ['paplay', 'aplay', 'mpg123'],
+        stream_player: 'mpg123'
+      });
+
+      await speak(server, { message: 'Compressed.' });
+      await speak(server, { message: 'Raw.', output_format: 'pcm_22050' });
+      expect(playerRuns(server)).toEqual([
+        ['mpg123', '-q', expect.stringMatching(/\.mp3$/)],
+        ['paplay', expect.stringMatching(/\.wav$/)]
+      ]);
+    } finally {
+      server.stop();
+      elevenLabs.close();
+    }
+  }, 15000);
+});
+
+describeWithBun('AUDIO_PLAYER command templates', () => {
+  it.each([
+    ['pai-test-player --volume 50 {file}', ['--volume', '50']],
+    ['pai-test-player --volume 50', ['--volume', '50']],
+    ['pai-test-player', []]
+  ])('should run %j with the clip path', async(template, args) => {
+    const server = await startServer({ AUDIO_PLAYER: template });
+    try {
+      expect((await playerStatus(server)).backend).toBe('custom');
+
+      expect((await speak(server, { message: 'Templated.' })).status).toBe('played');
+      expect(playerRuns(server)).toEqual([['pai-test-player', ...args, expect.stringMatching(/\.aiff$/)]]);
+      expect(server.readLines('played.log')).toEqual(['Templated.']);
+    } finally {
+      server.stop();
+    }
+  }, 15000);
+});
+
+describeWithBun('Missing audio players', () => {
+  it('should fail speech with an install hint when no player is found', async() => {
+    const server = await startServer({ AUDIO_PLAYER: 'auto' }, { players: [] });
+    try {
+      expect(await playerStatus(server)).toMatchObject({ backend: null, detected: [] });
+      expect(await speak(server, { message: 'Nobody listening.' })).toMatchObject({
+        status: 'failed',
+        error: 'No audio player found; install afplay, mpv, ffplay, paplay or aplay, or set AUDIO_PLAYER'
+      });
+    } finally {
+      server.stop();
+    }
+  }, 15000);
+
+  it('should name the detected players when none plays the format', async() => {
+    const server = await startServer({ AUDIO_PLAYER: 'auto' }, { players: ['aplay'] });
+    try {
+      expect(await speak(server, { message: 'Wrong format.' })).toMatchObject({
+        status: 'failed',
+        error: 'No audio player for aiff (detected: aplay)'
+      });
+    } finally {
+      server.stop();
+    }
+  }, 15000);
+
+  it('should fail when a named backend is not installed', async() => {
+    const server = await startServer({ AUDIO_PLAYER: 'mpv' }, { players: [] });
+    try {
+      expect(await speak(server, { message: 'Missing mpv.' })).toMatchObject({
+        status: 'failed',
+        error: expect.stringMatching(/not found.*mpv/)
+      });
+    } finally {
+      server.stop();
+    }
+  }, 15000);
+});
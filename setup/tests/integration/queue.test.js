@@ -0,0 +1,129 @@
+/**
+ * Integration tests for the playback queue: priorities, urgent preemption
+ * and dropping when full
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('Playback queue', () => {
+  let server;
+
+  /**
+   * Read GET /queue
+   * @returns {Promise<object>} Queue status
+   */
+  async function queue() {
+    return (await fetch(`${server.baseUrl}/queue`)).json();
+  }
+
+  /**
+   * Poll GET /queue until a condition holds
+   * @param {Function} condition - Called with the queue status
+   * @returns {Promise<object>} Queue status
+   */
+  async function waitForQueue(condition) {
+    for (;;) {
+      const status = await queue();
+      if (condition(status)) return status;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+
+  /**
+   * Send a notification; the response arrives once it has played
+   * @param {string} message - Message text
+   * @param {string} priority - low, normal or urgent
+   * @returns {Promise<Response>} Response, once the message has played
+   */
+  function notify(message, priority = 'normal') {
+    return server.post('/notify', { message, priority });
+  }
+
+  /**
+   * Speech outcome recorded in history for a message
+   * @param {string} message - Message text
+   * @returns {Promise<object>} Speech status and error
+   */
+  async function speechOf(message) {
+    const { entries } = await (await fetch(`${server.baseUrl}/history?q=${encodeURIComponent(message)}`)).json();
+    return entries[0].speech;
+  }
+
+  beforeAll(async() => {
+    server = await startServer({
+      AUDIO_PLAYER: 'pai-test-player {file}',
+      PAI_TEST_PLAY_SECONDS: '0.4',
+      PLAYBACK_QUEUE_MAX: '2'
+    });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  beforeEach(async() => {
+    await waitForQueue(status => !status.playing && status.depth === 0);
+  });
+
+  it('should play queued messages highest priority first', async() => {
+    const played = server.readLines('played.log').length;
+
+    const first = notify('Ordering first.');
+    await waitForQueue(status => status.playing);
+    const low = notify('Ordering low.', 'low');
+    await waitForQueue(status => status.depth === 1);
+    const normal = notify('Ordering normal.', 'normal');
+    const status = await waitForQueue(current => current.depth === 2);
+    expect(status.queued.map(item => item.priority)).toEqual(['normal', 'low']);
+
+    await Promise.all([first, low, normal]);
+    expect(server.readLines('played.log').slice(played))
+      .toEqual(['Ordering first.', 'Ordering normal.', 'Ordering low.']);
+  });
+
+  it('should interrupt a low clip for an urgent one, then replay it', async() => {
+    const played = server.readLines('played.log').length;
+    const { stats } = await queue();
+
+    const low = notify('Preempted low.', 'low');
+    await waitForQueue(status => status.playing);
+    const urgent = notify('Urgent news.', 'urgent');
+
+    await Promise.all([low, urgent]);
+    expect(server.readLines('played.log').slice(played)).toEqual(['Urgent news.', 'Preempted low.']);
+    expect((await queue()).stats.preempted).toBe(stats.preempted + 1);
+    expect((await speechOf('Preempted low.')).status).toBe('played');
+  });
+
+  it('should not interrupt an urgent clip for another', async() => {
+    const played = server.readLines('played.log').length;
+
+    const first = notify('Urgent first.', 'urgent');
+    await waitForQueue(status => status.playing);
+    const second = notify('Urgent second.', 'urgent');
+
+    await Promise.all([first, second]);
+    expect(server.readLines('played.log').slice(played)).toEqual(['Urgent first.', 'Urgent second.']);
+  });
+
+  it('should drop the oldest lowest-priority clip when the queue is full', async() => {
+    const played = server.readLines('played.log').length;
+    const { stats } = await queue();
+
+    const playing = notify('Full playing.');
+    await waitForQueue(status => status.playing);
+    const oldLow = notify('Full old low.', 'low');
+    await waitForQueue(status => status.depth === 1);
+    const newLow = notify('Full new low.', 'low');
+    await waitForQueue(status => status.depth === 2);
+    const normal = notify('Full normal.');
+
+    await Promise.all([playing, oldLow, newLow, normal]);
+    expect(server.readLines('played.log').slice(played)).toEqual(['Full playing.', 'Full normal.', 'Full new low.']);
+    expect((await queue()).stats.dropped).toBe(stats.dropped + 1);
+    expect(await speechOf('Full old low.')).toMatchObject({ status: 'failed', error: 'Dropped from full playback queue' });
+  });
+});
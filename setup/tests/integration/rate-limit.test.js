@@ -0,0 +1,113 @@
+/**
+ * Integration tests for the per-client token bucket rate limiter
+ * Skipped when Bun is not installed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hasBun, startServer } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('Rate limiting', () => {
+  let server;
+
+  /**
+   * GET a route
+   * @param {string} pathname - Route
+   * @returns {Promise<Response>} Response
+   */
+  function get(pathname) {
+    return fetch(`${server.baseUrl}${pathname}`);
+  }
+
+  beforeAll(async() => {
+    // The harness polls /health on the shared "*" bucket, so /history gets its
+    // own small bucket: 2 requests, refilling one per second
+    server = await startServer({ RATE_LIMIT_ROUTES: '/history=2/2' });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  it('should answer 429 with Retry-After once the bucket is drained, then refill', async() => {
+    expect((await get('/history')).status).toBe(200);
+    expect((await get('/history')).status).toBe(200);
+
+    const limited = await get('/history');
+    expect(limited.status).toBe(429);
+    expect(await limited.json()).toEqual({ status: 'error', message: 'Rate limit exceeded' });
+    expect(limited.headers.get('retry-after')).toBe('1');
+    expect(limited.headers.get('x-ratelimit-limit')).toBe('2');
+    expect(limited.headers.get('x-ratelimit-remaining')).toBe('0');
+    expect(limited.headers.get('x-ratelimit-reset')).toBe('2');
+
+    // Other routes draw on a different bucket
+    expect((await get('/queue')).status).toBe(200);
+
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    expect((await get('/history')).status).toBe(200);
+    expect((await get('/history')).status).toBe(429);
+  });
+
+  it('should count rejections per route', async() => {
+    const metrics = await (await get('/metrics')).text();
+    expect(metrics).toContain('pai_rate_limit_rejections_total{route="/history"} 2');
+  });
+});
+
+describeWithBun('Rate limiting status polling', () => {
+  let server;
+
+  beforeAll(async() => {
+    // /health gets its own bucket so the harness's startup polling does not
+    // count against the notify limit
+    server = await startServer({ RATE_LIMIT: '10/60', RATE_LIMIT_ROUTES: '/health=100/60' });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  it('should poll /jobs/:id and /queue past the notify limit without using it up', async() => {
+    const accepted = await server.post('/notify', { message: 'Polled.', voice_enabled: false, async: true });
+    expect(accepted.status).toBe(202);
+    const { job_id: jobId } = await accepted.json();
+
+    for (let i = 0; i < 15; i++) {
+      expect((await fetch(`${server.baseUrl}/jobs/${jobId}`)).status).toBe(200);
+      expect((await fetch(`${server.baseUrl}/queue`)).status).toBe(200);
+    }
+
+    expect((await server.post('/notify', { message: 'Still allowed.', voice_enabled: false })).status).toBe(200);
+  });
+});
+
+describeWithBun('Rate limits from ~/.env', () => {
+  let home;
+  let server;
+
+  beforeAll(async() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'pai-env-'));
+    fs.writeFileSync(path.join(home, '.env'), [
+      '# Values containing "=", as in the README',
+      'RATE_LIMIT_ROUTES=/history=2/60,/health=60/60',
+      'RATE_LIMIT_CLIENTS=token=60/60'
+    ].join('\n'));
+    server = await startServer({ HOME: home, LOG_LEVEL: 'warn' });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  it('should read every route and client limit', async() => {
+    expect((await fetch(`${server.baseUrl}/history`)).status).toBe(200);
+    expect((await fetch(`${server.baseUrl}/history`)).status).toBe(200);
+    expect((await fetch(`${server.baseUrl}/history`)).status).toBe(429);
+    expect(server.readLines('server.log').filter(line => line.includes('Invalid'))).toEqual([]);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Integration tests for POST /replay
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer, startElevenLabsStub } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('Replay', () => {
+  let server;
+  let elevenLabs;
+
+  /**
+   * POST /replay
+   * @param {object} body - Request body
+   * @returns {Promise<Response>} Response
+   */
+  function replay(body) {
+    return server.post('/replay', body);
+  }
+
+  /**
+   * ID of the newest history entry
+   * @returns {Promise<number>} History ID
+   */
+  async function latestId() {
+    const { entries } = await (await fetch(`${server.baseUrl}/history?limit=1`)).json();
+    return entries[0].id;
+  }
+
+  beforeAll(async() => {
+    elevenLabs = await startElevenLabsStub();
+    server = await startServer({
+      TTS_PROVIDERS: 'elevenlabs',
+      ELEVENLABS_API_KEY: 'test-key',
+      ELEVENLABS_API_URL: elevenLabs.url,
+      AUDIO_CACHE: 'true'
+    });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+    if (elevenLabs) elevenLabs.close();
+  });
+
+  it('should replay the latest delivered notification from the cache', async() => {
+    expect((await server.post('/notify', { title: 'Build', message: 'Build finished.' })).status).toBe(200);
+    const id = await latestId();
+    expect((await server.post('/notify', { message: 'Broken', voice_name: 'nobody' })).status).toBe(400);
+    const requests = elevenLabs.requests.length;
+
+    const response = await server.post('/replay');
+    expect(response.status).toBe(200);
+    expect((await response.json()).replay).toEqual({
+      id, title: 'Build', message: 'Build finished.', spoken: true, provider: 'elevenlabs', cached: true
+    });
+    expect(elevenLabs.requests).toHaveLength(requests);
+  });
+
+  it('should replay an entry by id', async() => {
+    expect((await server.post('/notify', { message: 'First.' })).status).toBe(200);
+    const first = await latestId();
+    expect((await server.post('/notify', { message: 'Second.' })).status).toBe(200);
+
+    const response = await replay({ id: first, priority: 'urgent' });
+    expect(response.status).toBe(200);
+    expect((await response.json()).replay).toMatchObject({ id: first, message: 'First.' });
+  });
+
+  it('should answer 404 for an id not in history', async() => {
+    const response = await replay({ id: 999999 });
+    expect(response.status).toBe(404);
+    expect((await response.json()).message).toBe('History entry 999999 not found');
+  });
+
+  it('should answer 400 for a failed request', async() => {
+    expect((await server.post('/notify', { message: 'Broken again', voice_name: 'nobody' })).status).toBe(400);
+    const id = await latestId();
+
+    const response = await replay({ id });
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toContain(`history entry ${id} is a failed request`);
+  });
+
+  it.each([
+    [{ id: 'latest' }, 'Invalid id'],
+    [{ id: 0 }, 'Invalid id'],
+    [{ priority: 'loud' }, 'Invalid priority'],
+    [null, 'Invalid replay request'],
+    [[1], 'Invalid replay request']
+  ])('should reject %j with a 400', async(body, error) => {
+    const response = await replay(body);
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toContain(error);
+  });
+});
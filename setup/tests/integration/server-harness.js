@@ -0,0 +1,302 @@
+/**
+ * Voice server harness for integration tests
+ * Starts server.ts under Bun in a temporary HOME with stub TTS and
+ * notify-send executables that record what they receive
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const SERVER_PATH = path.join(__dirname, '..', '..', '..', 'server.ts');
+
+// Tests that need the server are skipped when Bun is not installed
+const hasBun = !spawnSync('bun', ['--version']).error;
+
+// Records the text argument (always last) and the full command line, and
+// writes the text as the "audio". Text containing "slow" takes longer, to
+// reorder parallel synthesis, and text containing "unspeakable" fails.
+// "say -v ?" lists two voices.
+const FAKE_TTS = `#!/bin/sh
+if [ "$1" = "-v" ] && [ "$2" = "?" ]; then
+  printf '%s\\n' 'Jamie (Premium)     en_GB    # Hello, my name is Jamie.' 'Ava (Premium)       en_US    # Hello, my name is Ava.'
+  exit 0
+fi
+prev=""
+for arg in "$@"; do
+  if [ "$prev" = "-o" ] || [ "$prev" = "-w" ]; then out="$arg"; fi
+  prev="$arg"
+done
+case "$prev" in *slow*) sleep 0.3;; *unspeakable*) exit 1;; esac
+printf '%s\\n' "$prev" >> "$PAI_TEST_DIR/spoken.log"
+printf '%s\\n' "$*" >> "$PAI_TEST_DIR/tts-args.log"
+printf '%s' "$prev" > "$out"
+`;
+
+// AUDIO_PLAYER="pai-test-player {file}" (or a stubbed player backend):
+// records each clip's text as it plays, taking PAI_TEST_PLAY_SECONDS per
+// clip, and its command name and arguments like FAKE_NOTIFIER. The clip is
+// the last argument.
+const FAKE_PLAYER = `#!/bin/sh
+{ printf '%s' "\${0##*/}"; printf '\\037%s' "$@"; echo; } >> "$PAI_TEST_DIR/player-args.log"
+for file in "$@"; do :; done
+sleep "\${PAI_TEST_PLAY_SECONDS:-0}"
+cat "$file" >> "$PAI_TEST_DIR/played.log"
+echo >> "$PAI_TEST_DIR/played.log"
+`;
+
+// STREAM_PLAYER="pai-test-stream-player": records the piped audio and
+// writes its PID so tests can check the process is gone afterwards
+const FAKE_STREAM_PLAYER = `#!/bin/sh
+echo $$ > "$PAI_TEST_DIR/stream-player.pid"
+exec cat >> "$PAI_TEST_DIR/streamed.log"
+`;
+
+// Records summary and body separated by a unit separator, one call per line,
+// and its arguments like FAKE_NOTIFIER. Like the real notify-send, options
+// end at "--" and any other argument starting with "-" before it is an
+// unknown option. A notification containing "undeliverable" fails.
+const FAKE_NOTIFY_SEND = `#!/bin/sh
+case "$*" in *undeliverable*) exit 1;; esac
+{ printf 'notify-send'; printf '\\037%s' "$@"; echo; } >> "$PAI_TEST_DIR/notifier-args.log"
+while [ $# -gt 0 ]; do
+  case "$1" in
+    --) shift; break;;
+    --app-name=*|--urgency=*) shift;;
+    -*) echo "Unknown option $1" >&2; exit 1;;
+    *) break;;
+  esac
+done
+printf '%s\\037%s\\n' "$1" "$2" >> "$PAI_TEST_DIR/notifications.log"
+`;
+
+// terminal-notifier and osascript: record the command name and arguments,
+// separated by unit separators, one call per line. A notification containing
+// "undeliverable" fails.
+const FAKE_NOTIFIER = `#!/bin/sh
+case "$*" in *undeliverable*) exit 1;; esac
+{ printf '%s' "\${0##*/}"; printf '\\037%s' "$@"; echo; } >> "$PAI_TEST_DIR/notifier-args.log"
+`;
+
+/**
+ * Find a command on the test runner's PATH
+ * @param {string} command - Command name
+ * @returns {string|null} Absolute path
+ */
+function which(command) {
+  for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+    const file = path.join(dir, command);
+    try {
+      fs.accessSync(file, fs.constants.X_OK);
+      return file;
+    } catch {
+      // Not in this directory
+    }
+  }
+  return null;
+}
+
+/**
+ * Poll /health until the server answers
+ * @param {string} baseUrl - Server URL
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<void>}
+ */
+async function waitForServer(baseUrl, timeout) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${baseUrl}/health`);
+      if (response.ok) return;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Server did not start');
+}
+
+/**
+ * Start the server on a random port
+ * @param {object} env - Extra environment variables
+ * @param {object} options - Options
+ * @param {string[]} options.players - Player commands (e.g. mpv) to stub with
+ *   FAKE_PLAYER. PATH is then limited to the stubs, so players installed on
+ *   this machine are not detected.
+ * @returns {Promise<object>} Server handle
+ */
+async function startServer(env = {}, options = {}) {
+  const { players } = options;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pai-server-'));
+  const binDir = path.join(dir, 'bin');
+  fs.mkdirSync(binDir);
+  const stubs = [
+    ['say', FAKE_TTS],
+    ['espeak-ng', FAKE_TTS],
+    ['notify-send', FAKE_NOTIFY_SEND],
+    ['terminal-notifier', FAKE_NOTIFIER],
+    ['osascript', FAKE_NOTIFIER],
+    ['pai-test-player', FAKE_PLAYER],
+    ['pai-test-stream-player', FAKE_STREAM_PLAYER]
+  ];
+  for (const name of players || []) {
+    stubs.push([name, FAKE_PLAYER]);
+  }
+  for (const [name, script] of stubs) {
+    fs.writeFileSync(path.join(binDir, name), script, { mode: 0o755 });
+  }
+  if (players) {
+    // What the stubs and the harness itself run
+    for (const command of ['bun', 'cat', 'sleep']) {
+      fs.symlinkSync(which(command), path.join(binDir, command));
+    }
+  }
+
+  // The server's own output, for tests that check what it logs
+  const output = fs.openSync(path.join(dir, 'server.log'), 'a');
+
+  const port = 18000 + Math.floor(Math.random() * 1000);
+  const baseUrl = `http://localhost:${port}`;
+  const child = spawn('bun', ['run', SERVER_PATH], {
+    env: {
+      ...process.env,
+      HOME: dir,
+      PATH: players ? binDir : `${binDir}${path.delimiter}${process.env.PATH}`,
+      PORT: String(port),
+      PAI_TEST_DIR: dir,
+      AUTH_TOKEN_FILE: path.join(dir, 'auth-token'),
+      TTS_PROVIDERS: 'local',
+      AUDIO_CACHE: 'false',
+      AUDIO_CACHE_DIR: path.join(dir, 'cache'),
+      AUDIO_PLAYER: 'null',
+      NOTIFIER: 'notify-send',
+      HISTORY_DB: path.join(dir, 'history.db'),
+      USAGE_DB: path.join(dir, 'usage.db'),
+      LEXICON_FILE: path.join(dir, 'lexicon.json'),
+      RATE_LIMIT: '1000/60',
+      LOG_LEVEL: 'error',
+      ...env
+    },
+    stdio: ['ignore', output, output]
+  });
+  fs.closeSync(output);
+
+  try {
+    await waitForServer(baseUrl, 10000);
+  } catch (error) {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return {
+    baseUrl,
+    dir,
+
+    /**
+     * POST a JSON body
+     * @param {string} pathname - Route
+     * @param {object} body - Request body
+     * @returns {Promise<Response>} Response
+     */
+    post(pathname, body) {
+      return fetch(`${baseUrl}${pathname}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json; charset=utf-8' },
+        body: JSON.stringify(body)
+      });
+    },
+
+    /**
+     * Read the lines a stub wrote (spoken.log, tts-args.log, played.log,
+     * player-args.log, streamed.log, notifications.log or notifier-args.log)
+     * or the server logged (server.log)
+     * @param {string} name - Log file name
+     * @returns {string[]} Lines
+     */
+    readLines(name) {
+      const file = path.join(dir, name);
+      return fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean) : [];
+    },
+
+    /**
+     * Stop the server and remove its directory
+     */
+    stop() {
+      child.kill();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Start a stub ElevenLabs API. Text-to-speech requests are answered with the
+ * next step of `script`: 'ok' (the default), 'slow' ('ok' after 200ms), an
+ * HTTP status, 'hang' (no response) or 'stall' (headers and part of the body,
+ * then nothing). 'ok' returns "MP3:<text>" in two chunks, or for pcm_*
+ * output formats the text as raw samples. `maxActive` is the most requests
+ * that were ever open at once.
+ * @returns {Promise<object>} Stub with its URL, script and received requests
+ */
+function startElevenLabsStub() {
+  const stub = {
+    script: [],
+    requests: [],
+    active: 0,
+    maxActive: 0
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    stub.active++;
+    stub.maxActive = Math.max(stub.maxActive, stub.active);
+    res.on('close', () => { stub.active--; });
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const outputFormat = url.searchParams.get('output_format') || '';
+      const { text, voice_settings: voiceSettings } = JSON.parse(body || '{}');
+      stub.requests.push({ path: url.pathname, outputFormat, text, voiceSettings });
+
+      const respond = () => {
+        const pcm = outputFormat.startsWith('pcm_');
+        res.writeHead(200, { 'Content-Type': pcm ? 'audio/pcm' : 'audio/mpeg' });
+        if (!pcm) res.write('MP3:');
+        res.end(text);
+      };
+
+      const step = stub.script.shift() || 'ok';
+      if (step === 'hang') return;
+      if (step === 'stall') {
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        res.write('MP3:');
+        return;
+      }
+      if (step === 'ok') return respond();
+      if (step === 'slow') {
+        setTimeout(respond, 200);
+        return;
+      }
+      res.writeHead(step, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ detail: `status ${step}` }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, () => resolve(Object.assign(stub, {
+      url: `http://localhost:${server.address().port}`,
+      close: () => {
+        server.closeAllConnections();
+        server.close();
+      }
+    })));
+  });
+}
+
+module.exports = {
+  hasBun,
+  startServer,
+  startElevenLabsStub
+};
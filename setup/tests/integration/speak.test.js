@@ -0,0 +1,92 @@
+/**
+ * Integration tests for POST /speak (render-only synthesis)
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer, startElevenLabsStub } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('POST /speak', () => {
+  let server;
+  let elevenLabs;
+
+  beforeAll(async() => {
+    elevenLabs = await startElevenLabsStub();
+    server = await startServer({
+      TTS_PROVIDERS: 'elevenlabs',
+      ELEVENLABS_API_KEY: 'test-key',
+      ELEVENLABS_API_URL: elevenLabs.url,
+      SPEECH_CHUNK_SIZE: '30',
+      AUDIO_PLAYER: 'pai-test-player {file}'
+    });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+    if (elevenLabs) elevenLabs.close();
+  });
+
+  it('should return MP3 audio without playing it or notifying', async() => {
+    const response = await server.post('/speak', { message: 'Build finished.', voice_name: 'engineer' });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('audio/mpeg');
+    expect(response.headers.get('x-tts-provider')).toBe('elevenlabs');
+    expect(await response.text()).toBe('MP3:Build finished.');
+
+    expect(elevenLabs.requests.at(-1)).toMatchObject({
+      path: '/v1/text-to-speech/fATgBRI8wg5KkDFg8vBd',
+      outputFormat: 'mp3_44100_128'
+    });
+    expect(server.readLines('played.log')).toEqual([]);
+    expect(server.readLines('notifications.log')).toEqual([]);
+  });
+
+  it('should wrap PCM in a WAV header for format wav', async() => {
+    const response = await server.post('/speak', { message: 'Hello there.', format: 'wav' });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('audio/wav');
+    expect(elevenLabs.requests.at(-1).outputFormat).toBe('pcm_24000');
+
+    const wav = Buffer.from(await response.arrayBuffer());
+    expect(wav.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(wav.readUInt32LE(24)).toBe(24000);
+    expect(wav.subarray(44).toString()).toBe('Hello there.');
+  });
+
+  it('should return raw samples for format pcm', async() => {
+    const response = await server.post('/speak', { message: 'Hello there.', format: 'pcm', output_format: 'pcm_16000' });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('audio/pcm;rate=16000;channels=1');
+    expect(await response.text()).toBe('Hello there.');
+  });
+
+  it('should join the chunks of a long message into one file', async() => {
+    const message = 'The first sentence is here. The second one follows it. And a third.';
+    const mp3 = await server.post('/speak', { message });
+    expect(await mp3.text()).toBe('MP3:The first sentence is here.MP3:The second one follows it.MP3:And a third.');
+
+    const wav = Buffer.from(await (await server.post('/speak', { message, format: 'wav' })).arrayBuffer());
+    expect(wav.readUInt32LE(40)).toBe(wav.length - 44);
+    expect(wav.subarray(44).toString()).toBe('The first sentence is here.The second one follows it.And a third.');
+  });
+
+  it('should validate like /notify', async() => {
+    const cases = [
+      [null, 'Invalid speech request (expected a JSON object)'],
+      [['Hi'], 'Invalid speech request'],
+      [{}, 'Invalid message'],
+      [{ message: 'Hi', format: 'ogg' }, 'Invalid format'],
+      [{ message: 'Hi', voice_name: 'nobody' }, 'Invalid voice_name'],
+      [{ message: 'Hi', stability: 2 }, 'Invalid stability'],
+      [{ message: 'Hi', format: 'mp3', output_format: 'pcm_16000' }, 'does not match output_format'],
+      [{ message: '🎉🎉' }, 'nothing to speak']
+    ];
+
+    for (const [body, error] of cases) {
+      const response = await server.post('/speak', body);
+      expect(response.status).toBe(400);
+      expect((await response.json()).message).toContain(error);
+    }
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Integration tests for how notification text is normalized for speech
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('Speech text normalization', () => {
+  let server;
+
+  /**
+   * Notify and return the text the TTS engine received
+   * @param {string} message - Notification message
+   * @returns {Promise<string>} Spoken text
+   */
+  async function speak(message) {
+    const response = await server.post('/notify', { message });
+    expect(response.status).toBe(200);
+    return server.readLines('spoken.log').pop();
+  }
+
+  beforeAll(async() => {
+    server = await startServer();
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  it.each([
+    ['Fixed src/server.ts', 'Fixed server dot ts.'],
+    ['See ./lib/utils/index.js.', 'See index dot js.'],
+    ['Logs are in ~/.config/pai/logs', 'Logs are in logs.'],
+    ['Edited (setup/lib/core/systemd.js) today', 'Edited (systemd dot js) today.'],
+    ['Use and/or skip it', 'Use and/or skip it.']
+  ])('should read the path in %j as its name', async(message, spoken) => {
+    expect(await speak(message)).toBe(spoken);
+  });
+
+  it.each([
+    ['Failing at src/server.ts:42', 'Failing at server dot ts line 42.'],
+    ['Failing at src/server.ts:42:7, again', 'Failing at server dot ts line 42 column 7, again.'],
+    ['Check README.md:10', 'Check README dot md line 10.']
+  ])('should read line and column in %j', async(message, spoken) => {
+    expect(await speak(message)).toBe(spoken);
+  });
+
+  it('should read URLs as their host', async() => {
+    expect(await speak('Opened https://www.github.com/org/repo/pull/12?tab=files.'))
+      .toBe('Opened a link to github.com.');
+    expect(await speak('Serving at http://localhost:8888/health'))
+      .toBe('Serving at a link to localhost.');
+  });
+
+  it('should read versions', async() => {
+    expect(await speak('Released v1.2.3-beta.1 and 2.0.1')).toBe('Released version 1 point 2 point 3 beta 1 and 2 point 0 point 1.');
+    expect(await speak('Upgrade to v18')).toBe('Upgrade to version 18.');
+  });
+
+  it('should read units', async() => {
+    expect(await speak('Took 250ms and 1s, used 12MB at 100%')).toBe('Took 250 milliseconds and 1 second, used 12 megabytes at 100 percent.');
+    expect(await speak('Music of the 1990s')).toBe('Music of the 1990s.');
+  });
+
+  it('should normalize long tokens in linear time', async() => {
+    const sha = 'a3f9c2e1b7d4058e6f1a9c3b2d7e0f4a8c6b1e9d';
+    const deep = `src/${'nested-dir/'.repeat(30)}index.ts`;
+    const start = Date.now();
+
+    expect(await speak(`Commit ${sha} touched src/server.ts:42 and ${deep}`))
+      .toBe(`Commit ${sha} touched server dot ts line 42 and index dot ts.`);
+    expect(Date.now() - start).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Integration tests for streaming ElevenLabs audio into a player
+ * Skipped when Bun is not installed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hasBun, startServer, startElevenLabsStub } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('Streaming playback', () => {
+  let server;
+  let elevenLabs;
+
+  /**
+   * Read the ElevenLabs circuit breaker from /health
+   * @returns {Promise<object>} Breaker status
+   */
+  async function breaker() {
+    const health = await (await fetch(`${server.baseUrl}/health`)).json();
+    return health.tts.circuit_breakers.elevenlabs;
+  }
+
+  /**
+   * Wait for a condition, polling every 50ms
+   * @param {Function} condition - Returns true when done
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<void>}
+   */
+  async function waitFor(condition, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    while (!(await condition())) {
+      if (Date.now() > deadline) throw new Error('Timed out waiting');
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  /**
+   * Whether the last stream player process is still running
+   * @returns {boolean} Running
+   */
+  function playerRunning() {
+    const pid = parseInt(fs.readFileSync(path.join(server.dir, 'stream-player.pid'), 'utf8'));
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  beforeAll(async() => {
+    elevenLabs = await startElevenLabsStub();
+    server = await startServer({
+      TTS_PROVIDERS: 'elevenlabs,local',
+      ELEVENLABS_API_KEY: 'test-key',
+      ELEVENLABS_API_URL: elevenLabs.url,
+      ELEVENLABS_CONNECT_TIMEOUT_MS: '300',
+      ELEVENLABS_TIMEOUT_MS: '600',
+      ELEVENLABS_MAX_RETRIES: '0',
+      CIRCUIT_BREAKER_THRESHOLD: '2',
+      CIRCUIT_BREAKER_COOLDOWN_SECONDS: '60',
+      AUDIO_PLAYER: 'pai-test-player {file}',
+      STREAMING: 'true',
+      STREAM_PLAYER: 'pai-test-stream-player'
+    });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+    if (elevenLabs) elevenLabs.close();
+  });
+
+  it('should pipe chunked audio to the stream player', async() => {
+    expect((await server.post('/notify', { message: 'Streamed.' })).status).toBe(200);
+
+    await waitFor(() => server.readLines('streamed.log').includes('MP3:Streamed.') && !playerRunning());
+    expect(elevenLabs.requests[0].path).toMatch(/\/stream$/);
+    expect(await breaker()).toEqual({ state: 'closed', consecutive_failures: 0 });
+  });
+
+  it('should stop the player and count a failure when the stream stalls', async() => {
+    elevenLabs.script = ['stall'];
+    expect((await server.post('/notify', { message: 'Stalled.' })).status).toBe(200);
+
+    await waitFor(async() => (await breaker()).consecutive_failures === 1);
+    await waitFor(() => !playerRunning());
+  });
+
+  it('should fall back to the next provider once stalls open the breaker', async() => {
+    elevenLabs.script = ['stall'];
+    expect((await server.post('/notify', { message: 'Stalled again.' })).status).toBe(200);
+    await waitFor(async() => (await breaker()).state === 'open');
+
+    elevenLabs.requests.length = 0;
+    expect((await server.post('/notify', { message: 'Fallback.' })).status).toBe(200);
+    const { entries } = await (await fetch(`${server.baseUrl}/history?limit=1`)).json();
+    expect(entries[0].speech.provider).toBe('local');
+    expect(elevenLabs.requests).toHaveLength(0);
+  });
+});
+
+describeWithBun('Streaming settings from ~/.env', () => {
+  let home;
+  let elevenLabs;
+  let server;
+
+  beforeAll(async() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'pai-env-'));
+    elevenLabs = await startElevenLabsStub();
+    fs.writeFileSync(path.join(home, '.env'), [
+      'STREAMING="true"',
+      'STREAM_PLAYER=\'pai-test-stream-player -\'',
+      'AUDIO_PLAYER="pai-test-player {file}"'
+    ].join('\n'));
+    server = await startServer({
+      HOME: home,
+      TTS_PROVIDERS: 'elevenlabs',
+      ELEVENLABS_API_KEY: 'test-key',
+      ELEVENLABS_API_URL: elevenLabs.url
+    });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+    if (elevenLabs) elevenLabs.close();
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  it('should strip the quotes around player commands', async() => {
+    const health = await (await fetch(`${server.baseUrl}/health`)).json();
+    expect(health.audio_player.stream_player).toBe('pai-test-stream-player');
+
+    expect((await server.post('/notify', { message: 'Quoted.' })).status).toBe(200);
+    expect(server.readLines('streamed.log')).toEqual(['MP3:Quoted.']);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Integration tests for non-English text through the voice server
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('Unicode messages', () => {
+  let server;
+
+  /**
+   * POST a notification
+   * @param {object} body - Request body
+   * @returns {Promise<Response>} Response
+   */
+  function notify(body) {
+    return server.post('/notify', body);
+  }
+
+  /**
+   * Last [title, body] shown by notify-send
+   * @returns {string[]} Title and body
+   */
+  function lastNotification() {
+    return server.readLines('notifications.log').pop().split('\x1f');
+  }
+
+  beforeAll(async() => {
+    server = await startServer({ MAX_MESSAGE_LENGTH: '500' });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  it.each([
+    ['German', 'Übersetzung', 'Grüße aus München, die Änderungen sind fertig'],
+    ['French', 'Déploiement', 'Le déploiement est terminé, à bientôt'],
+    ['Japanese', '完了', 'ビルドが成功しました。テストはすべて合格です。'],
+    ['Arabic (RTL)', 'اكتمل', 'تم نشر التحديث بنجاح'],
+    ['Hebrew (RTL)', 'הושלם', 'הבדיקות עברו בהצלחה']
+  ])('should speak and display %s text unchanged', async(_language, title, message) => {
+    const response = await notify({ title, message });
+    expect(response.status).toBe(200);
+
+    expect(server.readLines('spoken.log').pop()).toBe(/[.。]$/.test(message) ? message : `${message}.`);
+    expect(lastNotification()).toEqual([title, message]);
+  });
+
+  it('should keep emoji and astral characters in the notification but not in speech', async() => {
+    const response = await notify({ title: 'Release 🚀', message: 'Déployé 🎉 𠮷野家' });
+    expect(response.status).toBe(200);
+
+    expect(server.readLines('spoken.log').pop()).toBe('Déployé 𠮷野家.');
+    expect(lastNotification()).toEqual(['Release 🚀', 'Déployé 🎉 𠮷野家']);
+  });
+
+  it('should compose decomposed accents before speaking', async() => {
+    await notify({ message: 'Cafe\u0301 ouvert' });
+    expect(server.readLines('spoken.log').pop()).toBe('Café ouvert.');
+  });
+
+  it('should escape markup instead of deleting characters', async() => {
+    await notify({ title: 'Tom & Jerry', message: 'שלום <b>עולם</b> & friends' });
+    expect(lastNotification()).toEqual(['Tom & Jerry', 'שלום &lt;b&gt;עולם&lt;/b&gt; &amp; friends']);
+  });
+
+  it('should keep mixed-direction text but drop bidi overrides', async() => {
+    await notify({ message: 'الملف \u2067README\u2069 \u202Eexe.txt' });
+    expect(lastNotification()[1]).toBe('الملف \u2067README\u2069 exe.txt');
+  });
+
+  it('should count the length limit in characters, not UTF-16 units', async() => {
+    expect((await notify({ message: '😀'.repeat(500), voice_enabled: false })).status).toBe(200);
+
+    const response = await notify({ message: '字'.repeat(501), voice_enabled: false });
+    expect(response.status).toBe(400);
+  });
+
+  it('should store the original text in history', async() => {
+    await notify({ title: 'Überprüfung', message: 'مرحبا Grüße 你好' });
+
+    const response = await fetch(`${server.baseUrl}/history?limit=1`);
+    const { entries } = await response.json();
+    expect(entries[0]).toMatchObject({ title: 'Überprüfung', message: 'مرحبا Grüße 你好' });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Integration tests for character usage tracking and budgets
+ * Skipped when Bun is not installed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hasBun, startServer, startElevenLabsStub } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('Character usage', () => {
+  let usageDir;
+  let elevenLabs;
+  let server;
+
+  // The usage database lives outside the server's directory to outlive it
+  let env;
+
+  /**
+   * Send a notification and read back its history entry
+   * @param {object} body - Request body
+   * @param {object} headers - Extra request headers
+   * @returns {Promise<object>} History entry
+   */
+  async function notify(body, headers = {}) {
+    const response = await fetch(`${server.baseUrl}/notify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+    expect(response.status).toBe(200);
+    const { entries } = await (await fetch(`${server.baseUrl}/history?limit=1`)).json();
+    return entries[0];
+  }
+
+  beforeAll(async() => {
+    usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pai-usage-'));
+    elevenLabs = await startElevenLabsStub();
+    env = {
+      TTS_PROVIDERS: 'elevenlabs,local',
+      ELEVENLABS_API_KEY: 'test-key',
+      ELEVENLABS_API_URL: elevenLabs.url,
+      USAGE_DB: path.join(usageDir, 'usage.db'),
+      USAGE_DAILY_BUDGET: '40'
+    };
+    server = await startServer(env);
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+    if (elevenLabs) elevenLabs.close();
+    fs.rmSync(usageDir, { recursive: true, force: true });
+  });
+
+  it('should count characters per voice and client', async() => {
+    await notify({ message: 'Hello there.', voice_name: 'researcher' }, { 'X-PAI-Client': 'researcher-agent' });
+    await notify({ message: 'Second message here.' });
+
+    const usage = await (await fetch(`${server.baseUrl}/usage`)).json();
+    expect(usage.today).toMatchObject({ characters: 32, budget: 40, remaining: 8 });
+    expect(usage.month).toMatchObject({ characters: 32, budget: null, remaining: null });
+    expect(usage.days).toEqual([{ date: usage.today.date, characters: 32, requests: 2 }]);
+    expect(usage.voices).toEqual([
+      { voice: 's3TPKV1kjDlVtZbl4Ksh', characters: 20, requests: 1 },
+      { voice: 'researcher', characters: 12, requests: 1 }
+    ]);
+    expect(usage.clients).toContainEqual({ client: 'researcher-agent', characters: 12, requests: 1 });
+  });
+
+  it('should fall back to a free provider when the budget would be exceeded', async() => {
+    elevenLabs.requests.length = 0;
+    const entry = await notify({ message: 'This one is too long.' });
+
+    expect(entry.speech.provider).toBe('local');
+    expect(elevenLabs.requests).toHaveLength(0);
+    expect((await (await fetch(`${server.baseUrl}/usage`)).json()).today.characters).toBe(32);
+  });
+
+  it('should keep usage across restarts and degrade to notification-only', async() => {
+    server.stop();
+    server = await startServer({ ...env, USAGE_BUDGET_ACTION: 'notify-only' });
+
+    const usage = await (await fetch(`${server.baseUrl}/usage`)).json();
+    expect(usage.today.characters).toBe(32);
+    expect(usage.budget_action).toBe('notify-only');
+
+    const entry = await notify({ title: 'Over budget', message: 'This one is too long.' });
+    expect(entry.speech.status).toBe('silent');
+    expect(server.readLines('spoken.log')).toEqual([]);
+    expect(server.readLines('notifications.log')[0]).toContain('Over budget');
+  }, 15000);
+
+  it('should reject an invalid days parameter', async() => {
+    const response = await fetch(`${server.baseUrl}/usage?days=0`);
+    expect(response.status).toBe(400);
+  });
+});
+
+describeWithBun('Character budgets for long messages', () => {
+  let elevenLabs;
+  let server;
+
+  /**
+   * Send a notification and read back its history entry
+   * @param {string} message - Message text
+   * @returns {Promise<object>} History entry
+   */
+  async function notify(message) {
+    expect((await server.post('/notify', { message })).status).toBe(200);
+    const { entries } = await (await fetch(`${server.baseUrl}/history?limit=1`)).json();
+    return entries[0];
+  }
+
+  beforeAll(async() => {
+    elevenLabs = await startElevenLabsStub();
+    server = await startServer({
+      TTS_PROVIDERS: 'elevenlabs,local',
+      ELEVENLABS_API_KEY: 'test-key',
+      ELEVENLABS_API_URL: elevenLabs.url,
+      USAGE_DAILY_BUDGET: '30',
+      SPEECH_CHUNK_SIZE: '20'
+    });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+    if (elevenLabs) elevenLabs.close();
+  });
+
+  it('should count characters, not UTF-16 units', async() => {
+    await notify('𠮷𠮷𠮷.');
+
+    const usage = await (await fetch(`${server.baseUrl}/usage`)).json();
+    expect(usage.today.characters).toBe(4);
+  });
+
+  it('should send every chunk of a message that fits to the billed provider', async() => {
+    elevenLabs.requests.length = 0;
+    const entry = await notify('Short one. Short two.');
+
+    expect(entry.speech.provider).toBe('elevenlabs');
+    expect(elevenLabs.requests.map(request => request.text)).toEqual(['Short one.', 'Short two.']);
+  });
+
+  it('should fall back for the whole message when it would overrun the budget', async() => {
+    elevenLabs.requests.length = 0;
+    const spoken = server.readLines('spoken.log').length;
+    const entry = await notify('First part here. Second part here. Third part here.');
+
+    expect(entry.speech.provider).toBe('local');
+    expect(elevenLabs.requests).toHaveLength(0);
+    expect(server.readLines('spoken.log').slice(spoken)).toEqual(['First part here.', 'Second part here.', 'Third part here.']);
+    expect((await (await fetch(`${server.baseUrl}/usage`)).json()).today.characters).toBe(24);
+  });
+});
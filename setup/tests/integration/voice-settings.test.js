@@ -0,0 +1,152 @@
+/**
+ * Integration tests for per-request speech settings
+ * Skipped when Bun is not installed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { hasBun, startServer } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('Speech settings', () => {
+  let server;
+
+  beforeAll(async() => {
+    server = await startServer();
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  it.each([
+    [{ stability: 1.5 }, 'Invalid stability (expected a number from 0 to 1)'],
+    [{ similarity_boost: -0.1 }, 'Invalid similarity_boost'],
+    [{ style: '0.5' }, 'Invalid style'],
+    [{ speed: 2 }, 'Invalid speed (expected a number from 0.7 to 1.2)'],
+    [{ model_id: 'eleven turbo' }, 'Invalid model_id'],
+    [{ output_format: 'ogg_44100' }, 'Invalid output_format']
+  ])('should reject %j with a 400', async(settings, error) => {
+    const response = await server.post('/notify', { message: 'Settings check', ...settings });
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toContain(error);
+  });
+
+  it('should accept valid settings', async() => {
+    const response = await server.post('/notify', {
+      message: 'Urgent delivery',
+      priority: 'urgent',
+      model_id: 'eleven_multilingual_v2',
+      stability: 0.3,
+      similarity_boost: 0.8,
+      style: 0.6,
+      speed: 1.2,
+      output_format: 'pcm_24000'
+    });
+    expect(response.status).toBe(200);
+  });
+
+  it('should scale the local engine rate by speed', async() => {
+    await server.post('/notify', { message: 'Default rate' });
+    expect(server.readLines('tts-args.log').pop()).toMatch(/-[rs] 175 /);
+
+    await server.post('/notify', { message: 'Faster', speed: 1.2 });
+    expect(server.readLines('tts-args.log').pop()).toMatch(/-[rs] 210 /);
+
+    await server.post('/notify', { message: 'Slower persona', voice_name: 'researcher', speed: 0.8 });
+    expect(server.readLines('tts-args.log').pop()).toMatch(/-[rs] 189 /);
+  });
+
+  it('should record the settings and replay with them', async() => {
+    await server.post('/notify', { message: 'Replay at speed', speed: 1.2, stability: 0.3 });
+    const { entries } = await (await fetch(`${server.baseUrl}/history?limit=1`)).json();
+    expect(entries[0].settings).toMatchObject({ speed: 1.2, stability: 0.3, model_id: 'eleven_turbo_v2_5' });
+
+    await server.post('/notify', { message: 'Default rate again' });
+    const response = await server.post('/replay', { id: entries[0].id });
+    expect(response.status).toBe(200);
+    expect(server.readLines('tts-args.log').pop()).toMatch(/-[rs] 210 .*Replay at speed/);
+  });
+});
+
+describeWithBun('Speech settings in an older history database', () => {
+  let server;
+  let dir;
+
+  beforeAll(async() => {
+    // The history schema from before speech settings were recorded
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pai-history-'));
+    const historyDb = path.join(dir, 'history.db');
+    spawnSync('bun', ['-e', `
+      const { Database } = require('bun:sqlite');
+      const db = new Database(process.env.HISTORY_DB);
+      db.run(\`CREATE TABLE notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, request_id TEXT, route TEXT NOT NULL,
+        title TEXT NOT NULL, message TEXT NOT NULL, voice TEXT, voice_id TEXT, source_ip TEXT,
+        received_at INTEGER NOT NULL, duration_ms INTEGER, speech_status TEXT, speech_provider TEXT,
+        synthesis_ms INTEGER, playback_ms INTEGER, speech_error TEXT, notifier TEXT,
+        delivered INTEGER, notification_error TEXT, error TEXT
+      )\`);
+      db.run("INSERT INTO notifications (route, title, message, voice, voice_id, received_at) VALUES ('/notify', 'Old', 'Recorded before settings', 'v1', 'v1', ${Date.now()})");
+    `], { env: { ...process.env, HISTORY_DB: historyDb } });
+
+    server = await startServer({ HISTORY_DB: historyDb });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should add the settings column and replay old entries with the defaults', async() => {
+    expect((await server.post('/notify', { message: 'New entry', speed: 0.8 })).status).toBe(200);
+
+    const { entries } = await (await fetch(`${server.baseUrl}/history`)).json();
+    expect(entries.map(entry => entry.settings?.speed ?? null)).toEqual([0.8, null]);
+
+    expect((await server.post('/replay', { id: entries[1].id })).status).toBe(200);
+    expect(server.readLines('tts-args.log').pop()).toMatch(/-[rs] 175 .*Recorded before settings/);
+  });
+});
+
+describeWithBun('Speech settings in voices.json', () => {
+  let dir;
+  let server;
+
+  beforeAll(async() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pai-voices-'));
+    const voicesFile = path.join(dir, 'voices.json');
+    fs.writeFileSync(voicesFile, JSON.stringify({
+      default_rate: 175,
+      voices: {
+        broken: { voice_name: 'Ava (Premium)', stability: 3 },
+        calm: { voice_name: 'Ava (Premium)', speed: 0.8 }
+      }
+    }));
+    server = await startServer({ VOICES_FILE: voicesFile });
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should log invalid persona settings at startup instead of rejecting requests', async() => {
+    const logged = server.readLines('server.log').find(line => line.includes('Ignoring invalid persona speech settings'));
+    expect(logged).toContain('persona=broken');
+    expect(logged).toContain('Invalid stability');
+
+    const response = await server.post('/notify', { message: 'Misconfigured persona', voice_name: 'broken' });
+    expect(response.status).toBe(200);
+    const { entries } = await (await fetch(`${server.baseUrl}/history?limit=1`)).json();
+    expect(entries[0].settings.stability).toBe(0.5);
+  });
+
+  it('should apply valid persona settings', async() => {
+    await server.post('/notify', { message: 'Calm persona', voice_name: 'calm' });
+    expect(server.readLines('tts-args.log').pop()).toMatch(/-[rs] 140 /);
+  });
+});
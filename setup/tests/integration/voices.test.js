@@ -0,0 +1,53 @@
+/**
+ * Integration tests for GET /voices
+ * Skipped when Bun is not installed
+ */
+
+const { hasBun, startServer } = require('./server-harness');
+
+const describeWithBun = hasBun ? describe : describe.skip;
+
+describeWithBun('GET /voices', () => {
+  let server;
+
+  beforeAll(async() => {
+    server = await startServer();
+  }, 15000);
+
+  afterAll(() => {
+    if (server) server.stop();
+  });
+
+  it('should merge personas with the local engine voices', async() => {
+    const response = await fetch(`${server.baseUrl}/voices`);
+    expect(response.status).toBe(200);
+
+    const body = await response.json();
+    expect(body.provider).toBe('local');
+    expect(body.voices).toEqual([
+      { id: 'Jamie (Premium)', name: 'Jamie (Premium)', language: 'en_GB', personas: ['pai'] },
+      { id: 'Ava (Premium)', name: 'Ava (Premium)', language: 'en_US', personas: ['researcher'] }
+    ]);
+
+    const researcher = body.personas.find(persona => persona.name === 'researcher');
+    expect(researcher).toMatchObject({
+      voice_id: 'Ava (Premium)',
+      available: true,
+      elevenlabs_voice_id: 'AXdMgz6evoL7OPd7eU12',
+      local_voice: 'Ava (Premium)'
+    });
+
+    const engineer = body.personas.find(persona => persona.name === 'engineer');
+    expect(engineer).toMatchObject({ voice_id: 'Zoe (Premium)', available: false });
+  });
+
+  it('should serve the cached listing until refreshed', async() => {
+    const first = await (await fetch(`${server.baseUrl}/voices`)).json();
+    const cached = await (await fetch(`${server.baseUrl}/voices`)).json();
+    expect(cached.fetched_at).toBe(first.fetched_at);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const refreshed = await (await fetch(`${server.baseUrl}/voices?refresh=true`)).json();
+    expect(refreshed.fetched_at).not.toBe(first.fetched_at);
+  });
+});
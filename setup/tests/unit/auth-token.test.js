@@ -0,0 +1,63 @@
+/**
+ * Unit tests for API auth token management
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const authToken = require('../../lib/core/auth-token');
+const paths = require('../../lib/core/paths');
+
+describe('Auth Token', () => {
+  let tempHome;
+  let homedirSpy;
+
+  beforeEach(() => {
+    tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'pai-auth-'));
+    homedirSpy = jest.spyOn(os, 'homedir').mockReturnValue(tempHome);
+    fs.mkdirSync(paths.getInstallPath(), { recursive: true });
+  });
+
+  afterEach(() => {
+    homedirSpy.mockRestore();
+    fs.rmSync(tempHome, { recursive: true, force: true });
+  });
+
+  describe('generateToken', () => {
+    it('should generate distinct 64-character hex tokens', () => {
+      const token = authToken.generateToken();
+      expect(token).toMatch(/^[0-9a-f]{64}$/);
+      expect(authToken.generateToken()).not.toBe(token);
+    });
+  });
+
+  describe('ensureToken', () => {
+    it('should create the token file readable only by the owner', () => {
+      const result = authToken.ensureToken();
+      expect(result.created).toBe(true);
+      expect(fs.statSync(result.path).mode & 0o777).toBe(0o600);
+      expect(authToken.readToken()).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('should keep an existing token', () => {
+      authToken.ensureToken();
+      const token = authToken.readToken();
+
+      const result = authToken.ensureToken();
+      expect(result.created).toBe(false);
+      expect(authToken.readToken()).toBe(token);
+    });
+
+    it('should not write in dry-run mode', () => {
+      const result = authToken.ensureToken({ dryRun: true });
+      expect(result.created).toBe(true);
+      expect(fs.existsSync(result.path)).toBe(false);
+    });
+  });
+
+  describe('readToken', () => {
+    it('should return null when auth is not configured', () => {
+      expect(authToken.readToken()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for the port check
+ */
+
+jest.mock('../../lib/utils/exec');
+
+const net = require('net');
+const { execOutput, commandExists } = require('../../lib/utils/exec');
+const environment = require('../../lib/core/environment');
+
+/**
+ * Make only some commands available
+ * @param {string[]} available - Command names
+ */
+function withCommands(available) {
+  commandExists.mockImplementation(command => available.includes(command));
+}
+
+describe('checkPort', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('should name the process found by lsof', () => {
+    withCommands(['lsof', 'ss']);
+    execOutput.mockImplementation(command => (command.startsWith('lsof') ? '4242\n4243' : 'bun'));
+
+    expect(environment.checkPort(8888)).toEqual({
+      available: false,
+      processInfo: 'bun (PID 4242)',
+      error: 'Port 8888 is already in use by bun (PID 4242)'
+    });
+    expect(execOutput).toHaveBeenCalledWith('lsof -ti:8888', { ignoreError: true });
+  });
+
+  it('should report the port free when lsof finds nothing', () => {
+    withCommands(['lsof']);
+    execOutput.mockReturnValue('');
+
+    expect(environment.checkPort(8888)).toEqual({ available: true });
+  });
+
+  it('should fall back to ss without lsof', () => {
+    withCommands(['ss']);
+    execOutput.mockImplementation(command => (command.startsWith('ss')
+      ? 'LISTEN 0 512 *:8888 *:* users:(("bun",pid=4242,fd=12))'
+      : 'bun'));
+
+    expect(environment.checkPort(8888).processInfo).toBe('bun (PID 4242)');
+    expect(execOutput.mock.calls[0][0]).toBe('ss -Htlnp "sport = :8888"');
+  });
+
+  it('should report a listener ss cannot name', () => {
+    withCommands(['ss']);
+    execOutput.mockReturnValue('LISTEN 0 512 *:8888 *:*');
+
+    expect(environment.checkPort(8888)).toMatchObject({ available: false, processInfo: 'another process' });
+  });
+
+  describe('without lsof or ss', () => {
+    let server;
+    let port;
+
+    beforeEach(async() => {
+      withCommands([]);
+      execOutput.mockImplementation(jest.requireActual('../../lib/utils/exec').execOutput);
+      server = net.createServer();
+      await new Promise(resolve => server.listen(0, resolve));
+      port = server.address().port;
+    });
+
+    afterEach(async() => {
+      if (server.listening) await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should detect a taken port by trying to bind it', () => {
+      expect(environment.checkPort(port)).toEqual({
+        available: false,
+        processInfo: 'another process',
+        error: `Port ${port} is already in use by another process`
+      });
+    });
+
+    it('should report a free port available', async() => {
+      await new Promise(resolve => server.close(resolve));
+      expect(environment.checkPort(port)).toEqual({ available: true });
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Unit tests for the server API client
+ */
+
+jest.mock('../../lib/utils/exec');
+jest.mock('../../lib/core/auth-token');
+jest.mock('../../lib/core/manifest');
+
+const { execOutput } = require('../../lib/utils/exec');
+const authToken = require('../../lib/core/auth-token');
+const manifest = require('../../lib/core/manifest');
+const serverApi = require('../../lib/core/server-api');
+
+const TOKEN = 'a'.repeat(64);
+
+describe('Server API', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    manifest.getManifest.mockReturnValue({ service: { port: 8888 } });
+    execOutput.mockReturnValue('{"status":"healthy"}');
+  });
+
+  it('should pass the auth token on stdin, not the command line', () => {
+    authToken.readToken.mockReturnValue(TOKEN);
+
+    expect(serverApi.get('/health')).toEqual({ status: 'healthy' });
+    const [command, options] = execOutput.mock.calls[0];
+    expect(command).toBe('curl -H @- -s -f -m 2 http://localhost:8888/health');
+    expect(command).not.toContain(TOKEN);
+    expect(options.input).toBe(`Authorization: Bearer ${TOKEN}\n`);
+  });
+
+  it('should keep the token out of POST command lines', () => {
+    authToken.readToken.mockReturnValue(TOKEN);
+
+    serverApi.post('/replay', { id: 1 });
+    const [command, options] = execOutput.mock.calls[0];
+    expect(command).toContain('-d \'{"id":1}\'');
+    expect(command).not.toContain(TOKEN);
+    expect(options.input).toContain(TOKEN);
+  });
+
+  it('should send no auth header when auth is disabled', () => {
+    authToken.readToken.mockReturnValue(null);
+
+    serverApi.get('/health');
+    const [command, options] = execOutput.mock.calls[0];
+    expect(command).not.toContain('-H @-');
+    expect(options.input).toBeUndefined();
+  });
+
+  it('should return null when the server is unreachable', () => {
+    authToken.readToken.mockReturnValue(null);
+    execOutput.mockReturnValue('');
+
+    expect(serverApi.getHealth()).toBeNull();
+  });
+});
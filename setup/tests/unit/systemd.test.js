@@ -0,0 +1,94 @@
+/**
+ * Unit tests for systemd unit generation, logs and service manager selection
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const systemd = require('../../lib/core/systemd');
+const launchagent = require('../../lib/core/launchagent');
+const paths = require('../../lib/core/paths');
+const { getServiceManager } = require('../../lib/core/service-manager');
+
+describe('systemd', () => {
+  describe('generateUnit', () => {
+    it('should run the server with bun and restart on failure', () => {
+      const unit = systemd.generateUnit();
+      expect(unit).toContain(`ExecStart=${paths.getBunPath()} run ${paths.getServerPath()}`);
+      expect(unit).toContain('Restart=on-failure');
+      expect(unit).toContain('WantedBy=default.target');
+    });
+
+    it('should append output to the Linux log path', () => {
+      const unit = systemd.generateUnit();
+      expect(unit).toContain(`StandardOutput=append:${paths.getLogPath('linux')}`);
+    });
+  });
+
+  describe('generateServiceModeUnit', () => {
+    it('should throttle restarts and set the port', () => {
+      const unit = systemd.generateServiceModeUnit();
+      expect(unit).toContain('Restart=on-failure');
+      expect(unit).toContain('RestartSec=10');
+      expect(unit).toContain('StartLimitIntervalSec=0');
+      expect(unit).toContain('Environment=PORT=8888');
+    });
+
+    it('should write separate stdout and stderr logs', () => {
+      const unit = systemd.generateServiceModeUnit();
+      expect(unit).toContain(`StandardOutput=append:${paths.getStdoutLogPath()}`);
+      expect(unit).toContain(`StandardError=append:${paths.getStderrLogPath()}`);
+    });
+  });
+
+  describe('getLogs', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pai-systemd-'));
+      jest.spyOn(paths, 'getSystemdUnitPath').mockReturnValue(path.join(dir, 'pai-voice-server.service'));
+      jest.spyOn(paths, 'getLogPath').mockReturnValue(path.join(dir, 'combined.log'));
+      jest.spyOn(paths, 'getStdoutLogPath').mockReturnValue(path.join(dir, 'voice-server.log'));
+      jest.spyOn(paths, 'getStderrLogPath').mockReturnValue(path.join(dir, 'voice-server-error.log'));
+      fs.writeFileSync(path.join(dir, 'combined.log'), 'combined\n');
+      fs.writeFileSync(path.join(dir, 'voice-server.log'), 'out 1\nout 2\n');
+      fs.writeFileSync(path.join(dir, 'voice-server-error.log'), 'err 1\n');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should read the combined log in standard mode', () => {
+      fs.writeFileSync(systemd.getDefinitionPath(), systemd.generateUnit());
+      expect(systemd.getLogs()).toBe('combined');
+    });
+
+    it('should read the stdout and stderr logs in service mode', () => {
+      fs.writeFileSync(systemd.getDefinitionPath(), systemd.generateServiceModeUnit());
+
+      const logs = systemd.getLogs(1);
+      expect(logs).toContain('voice-server.log <==\nout 2');
+      expect(logs).toContain('voice-server-error.log <==\nerr 1');
+      expect(logs).not.toContain('combined');
+    });
+
+    it('should say so when there is no log yet', () => {
+      fs.writeFileSync(systemd.getDefinitionPath(), systemd.generateServiceModeUnit());
+      fs.rmSync(path.join(dir, 'voice-server.log'));
+      fs.rmSync(path.join(dir, 'voice-server-error.log'));
+      expect(systemd.getLogs()).toBe('No log file found');
+    });
+  });
+});
+
+describe('getServiceManager', () => {
+  it('should use systemd on Linux', () => {
+    expect(getServiceManager('linux')).toBe(systemd);
+  });
+
+  it('should use LaunchAgent on macOS', () => {
+    expect(getServiceManager('darwin')).toBe(launchagent);
+  });
+});